@@ -0,0 +1,75 @@
+// Blocks we hold but have not connected:
+//   orphans    - parent unknown; connected once the parent arrives
+//   sideBlocks - part of a known branch that is not (yet) longer than the active chain
+export class BlockPool {
+  constructor(blockchain) {
+    this.blockchain = blockchain;
+    this.orphans = new Map(); // hash -> { block, source, receivedAt }
+    this.sideBlocks = new Map(); // hash -> block
+    this.maxOrphans = 100;
+    this.maxOrphansPerSource = 10; // one peer can't push everyone else's orphans out
+    this.maxSideBlocks = 500;
+    this.orphanExpiry = 60 * 60 * 1000; // 1 hour
+  }
+
+  has(hash) {
+    return this.orphans.has(hash) || this.sideBlocks.has(hash);
+  }
+
+  // Past its per-source limit, a source's new orphan replaces its own oldest one
+  addOrphan(block, source) {
+    this.pruneOrphans();
+
+    // Maps iterate in insertion order, so the first match is the source's oldest orphan
+    const fromSource = Array.from(this.orphans).filter(([, orphan]) => orphan.source === source);
+    if (fromSource.length >= this.maxOrphansPerSource) {
+      this.orphans.delete(fromSource[0][0]);
+    }
+
+    this.orphans.set(block.hash, { block, source, receivedAt: Date.now() });
+    if (this.orphans.size > this.maxOrphans) {
+      this.orphans.delete(this.orphans.keys().next().value);
+    }
+  }
+
+  pruneOrphans() {
+    const cutoff = Date.now() - this.orphanExpiry;
+    for (const [hash, orphan] of this.orphans) {
+      if (orphan.receivedAt < cutoff) this.orphans.delete(hash);
+    }
+  }
+
+  // Remove and return the orphans waiting for parentHash
+  takeOrphanChildren(parentHash) {
+    const children = [];
+    for (const [hash, orphan] of this.orphans) {
+      if (orphan.block.previousBlockHash === parentHash) {
+        children.push(orphan);
+        this.orphans.delete(hash);
+      }
+    }
+    return children;
+  }
+
+  addSideBlock(block) {
+    this.sideBlocks.set(block.hash, block);
+    if (this.sideBlocks.size > this.maxSideBlocks) {
+      this.sideBlocks.delete(this.sideBlocks.keys().next().value);
+    }
+  }
+
+  getSideBlock(hash) {
+    return this.sideBlocks.get(hash) || null;
+  }
+
+  removeSideBlock(hash) {
+    this.sideBlocks.delete(hash);
+  }
+
+  getStats() {
+    return {
+      orphanBlocks: this.orphans.size,
+      sideBlocks: this.sideBlocks.size
+    };
+  }
+}
@@ -0,0 +1,217 @@
+import { v4 as uuidv4 } from 'uuid';
+
+// Block assembly. Pending transactions are picked by fee rate (fee per kB of
+// serialized transaction) until the block size limit is reached. Each sender's
+// transactions only become eligible in nonce order, so a high-fee transaction
+// is never picked ahead of the lower-nonce one it depends on.
+export class BlockTemplateBuilder {
+  constructor(blockchain) {
+    this.blockchain = blockchain;
+    this.coinbaseReserve = 300; // bytes left free per coinbase output; the outputs are added last
+    this.miningTemplates = new Map(); // templateId -> template handed out by GET /mining/template
+    this.maxMiningTemplates = 100;
+    this.templateLifetime = 10 * 60 * 1000;
+    this.templateRefreshInterval = 5 * 1000; // mining templates on one tip are reused this long
+    this.sharedAssembly = null; // see assembleShared
+  }
+
+  static feeRate(tx, size) {
+    return ((tx.fee || 0) * 1000) / size;
+  }
+
+  // Preferred first: higher fee rate, then older, then lower transaction ID so the order is stable
+  static compareCandidates(a, b) {
+    if (a.feeRate !== b.feeRate) return b.feeRate - a.feeRate;
+    if (a.tx.timestamp !== b.tx.timestamp) return (a.tx.timestamp || 0) - (b.tx.timestamp || 0);
+    return a.tx.transactionId < b.tx.transactionId ? -1 : 1;
+  }
+
+  // Resolves the transactions for a block on the current tip paying payouts, either an
+  // address or [{ address, percent }]:
+  // { transactions (selected + coinbase), selected, coinbase (outputs), coinbaseAmount, size, totalFees }
+  // With no payouts (no miner address configured) the coinbase is left out.
+  build(payouts = this.blockchain.minerPayouts, pendingTransactions = this.blockchain.pendingTransactions) {
+    const blockchain = this.blockchain;
+    if (typeof payouts === 'string') payouts = [{ address: payouts, percent: 100 }];
+
+    // Per-sender queues in nonce order, starting at each sender's next confirmed nonce
+    const queues = new Map();
+    for (const tx of pendingTransactions) {
+      if (typeof tx.nonce !== 'number' || blockchain.getTransaction(tx.transactionId).transaction) continue;
+      if (!queues.has(tx.sender)) queues.set(tx.sender, []);
+      queues.get(tx.sender).push({ tx, size: blockchain.getTransactionSize(tx) });
+    }
+
+    const heads = [];
+    for (const [sender, queue] of queues) {
+      queue.sort((a, b) => a.tx.nonce - b.tx.nonce);
+      this.pushHead(heads, queue, blockchain.chainState.getNonce(sender) + 1);
+    }
+
+    const sizeLimit = blockchain.maxBlockSize - this.coinbaseReserve * Math.max(1, payouts.length);
+    const selected = [];
+    let size = 0;
+
+    while (heads.length > 0) {
+      heads.sort(BlockTemplateBuilder.compareCandidates);
+      const candidate = heads.shift();
+
+      // A sender whose next transaction doesn't fit can't have any later ones either
+      if (size + candidate.size > sizeLimit) continue;
+
+      selected.push(candidate.tx);
+      size += candidate.size;
+      this.pushHead(heads, candidate.queue, candidate.tx.nonce + 1);
+    }
+
+    const coinbase = payouts.length > 0 ? blockchain.createCoinbaseTransactions(payouts, selected) : [];
+    const totalFees = blockchain.sumTransactionFees(selected);
+    return {
+      transactions: [...selected, ...coinbase],
+      selected,
+      coinbase,
+      coinbaseAmount: blockchain.calculateCoinbaseAmount(totalFees, blockchain.getLastBlock().index + 1),
+      size: coinbase.reduce((total, tx) => total + blockchain.getTransactionSize(tx), size),
+      totalFees
+    };
+  }
+
+  // Queue the sender's transaction with nonce expectedNonce, if it has one
+  pushHead(heads, queue, expectedNonce) {
+    while (queue.length > 0 && queue[0].tx.nonce < expectedNonce) queue.shift();
+    if (queue.length === 0 || queue[0].tx.nonce !== expectedNonce) return;
+
+    const { tx, size } = queue.shift();
+    heads.push({ tx, size, queue, feeRate: BlockTemplateBuilder.feeRate(tx, size) });
+  }
+
+  // Resolves to { previousBlockHash, template (see build), header (see
+  // Blockchain.prepareBlockData) } on the current tip. A pending contract call this
+  // node can't run would hold up every template, so it is dropped from the mempool
+  // and the template built again without it.
+  async assemble(payouts = this.blockchain.minerPayouts) {
+    const blockchain = this.blockchain;
+    for (;;) {
+      const previousBlockHash = blockchain.getLastBlock().hash;
+      const template = this.build(payouts);
+      let header;
+      try {
+        header = await blockchain.prepareBlockData(template.transactions);
+      } catch (error) {
+        if (!template.selected.some(tx => tx.transactionId === error.transactionId)) throw error;
+        console.log(`⚠️ Transaction ${error.transactionId} dropped from the mempool: ${error.message}`);
+        blockchain.pendingTransactions = blockchain.pendingTransactions.filter(tx => tx.transactionId !== error.transactionId);
+        blockchain.rebuildMempool();
+        continue;
+      }
+
+      // The header was prepared on the tip as it was when build ran
+      if (blockchain.getLastBlock().hash === previousBlockHash) {
+        return { previousBlockHash, template, header };
+      }
+    }
+  }
+
+  // Resolves to assemble's result without a coinbase, for templates on the current tip.
+  // It is assembled at most once per templateRefreshInterval however many templates are
+  // asked for: only their coinbase differs, which contract execution doesn't see.
+  async assembleShared() {
+    for (;;) {
+      const tipHash = this.blockchain.getLastBlock().hash;
+      const shared = this.sharedAssembly;
+      if (!shared || shared.tipHash !== tipHash || Date.now() - shared.createdAt > this.templateRefreshInterval) {
+        const assembly = { tipHash, createdAt: Date.now(), templates: new Map(), result: this.assemble([]) };
+        assembly.result.catch(() => {
+          if (this.sharedAssembly === assembly) this.sharedAssembly = null;
+        });
+        this.sharedAssembly = assembly;
+      }
+
+      const assembly = this.sharedAssembly;
+      const result = await assembly.result;
+      if (result.previousBlockHash === this.blockchain.getLastBlock().hash) return { assembly, ...result };
+    }
+  }
+
+  // Header fields, target and transactions for a miner paying the coinbase to recipient.
+  // The miner searches for a nonce where sha256(previousBlockHash + nonce + serializedHeader)
+  // <= target. Asking again for the same recipient on the same tip returns the same
+  // template until the shared assembly is refreshed.
+  async createMiningTemplate(recipient) {
+    const blockchain = this.blockchain;
+    const { assembly, previousBlockHash, template: { selected, coinbaseAmount, size, totalFees }, header } = await this.assembleShared();
+    if (assembly.templates.has(recipient)) return assembly.templates.get(recipient);
+
+    const coinbase = blockchain.createCoinbaseTransactions([{ address: recipient, percent: 100 }], selected);
+    const transactions = [...selected, ...coinbase];
+    const minedHeader = { ...header, merkleRoot: blockchain.calculateMerkleRoot(transactions) };
+    const template = {
+      templateId: uuidv4().split('-').join(''),
+      previousBlockHash,
+      ...minedHeader,
+      serializedHeader: blockchain.serializeBlockHeader(minedHeader),
+      transactions,
+      coinbaseAmount,
+      totalFees,
+      size: coinbase.reduce((total, tx) => total + blockchain.getTransactionSize(tx), size),
+      expiresAt: Date.now() + this.templateLifetime
+    };
+    assembly.templates.set(recipient, template);
+    return template;
+  }
+
+  // Template for GET /mining/template, kept for submitSolution. The mining pool holds
+  // its own templates, so external miners can't push them out of miningTemplates.
+  async issueMiningTemplate(recipient) {
+    const template = await this.createMiningTemplate(recipient);
+    this.pruneMiningTemplates();
+    if (!this.miningTemplates.has(template.templateId)) {
+      this.miningTemplates.set(template.templateId, template);
+      if (this.miningTemplates.size > this.maxMiningTemplates) {
+        this.miningTemplates.delete(this.miningTemplates.keys().next().value);
+      }
+    }
+    return template;
+  }
+
+  // Drop templates that no longer build on our tip or have expired
+  pruneMiningTemplates() {
+    const tipHash = this.blockchain.getLastBlock().hash;
+    const now = Date.now();
+    for (const [templateId, template] of this.miningTemplates) {
+      if (template.previousBlockHash !== tipHash || template.expiresAt < now) {
+        this.miningTemplates.delete(templateId);
+      }
+    }
+  }
+
+  // Solved nonce for a template from issueMiningTemplate (see submitTemplate)
+  async submitSolution(templateId, nonce, source = 'external miner') {
+    const template = this.miningTemplates.get(templateId);
+    if (!template) {
+      return { accepted: false, reason: 'Unknown or expired template' };
+    }
+
+    const result = await this.submitTemplate(template, nonce, source);
+    if (result.accepted || result.stale) this.miningTemplates.delete(templateId);
+    return result;
+  }
+
+  // Connect the block for a solved template through acceptBlock. Resolves to
+  // acceptBlock's result, plus the block when it was accepted.
+  async submitTemplate(template, nonce, source) {
+    const blockchain = this.blockchain;
+    if (!Number.isSafeInteger(nonce) || nonce < 0) {
+      return { accepted: false, reason: 'Nonce must be a non-negative integer' };
+    }
+    if (template.previousBlockHash !== blockchain.getLastBlock().hash) {
+      return { accepted: false, stale: true, reason: 'Template is stale: the chain tip has moved' };
+    }
+
+    const hash = blockchain.hashBlock(template.previousBlockHash, template, nonce);
+    const block = blockchain.buildBlock(nonce, template.previousBlockHash, hash, template.transactions, template);
+    const result = await blockchain.acceptBlock(block, source);
+    if (!result.accepted) return result;
+    return { ...result, block };
+  }
+}
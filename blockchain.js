@@ -1,32 +1,81 @@
 import sha256 from 'sha256';
-import { v4 as uuidv4 } from 'uuid';
 import { Level } from 'level';
 import crypto from 'crypto';
+import os from 'os';
+import { EventEmitter } from 'events';
 import { ContractSystem } from './contracts.js';
 import { SyncManager } from './sync-manager.js';
-
-
-const currentNodeUrl = process.argv[3];
-
-class Blockchain {
+import { MerkleTree, EMPTY_MERKLE_ROOT } from './merkle.js';
+import { Miner } from './miner.js';
+import { ChainStore } from './chain-store.js';
+import { ChainIndex } from './chain-index.js';
+import { ChainState } from './chainstate.js';
+import { BlockPool } from './block-pool.js';
+import { ForkChoice } from './fork-choice.js';
+import { Retarget } from './retarget.js';
+import { BlockTemplateBuilder } from './block-template.js';
+import { EmissionSchedule } from './emission.js';
+import { MiningPool } from './pool.js';
+
+
+// Positional arguments are [port, nodeUrl]; options are passed as --name=value
+const cliArgs = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+const cliOption = (name) => process.argv.find(arg => arg.startsWith(`--${name}=`))?.slice(name.length + 3);
+const currentNodeUrl = cliArgs[1];
+
+// Emits 'tip' with { hash, height, source } whenever the active chain gets a new tip, and
+// 'reorg' with { depth, forkHeight, oldTip, newTip, ... } when the active chain switches branch
+class Blockchain extends EventEmitter {
   constructor() {
+    super();
     this.chain = [];
     this.pendingTransactions = [];
     this.networkNodes = [];
-    this.difficulty = 4;
-    this.miningReward = 12.5;
-    this.maxTransactionsPerBlock = 10;
+    this.initialDifficulty = 4; // Difficulty of the first blocks, before there is history to retarget from
+    this.minDifficulty = 1;
+    this.difficultyWindow = 10; // Blocks averaged by each retarget
+    this.difficulty = this.initialDifficulty; // Next block's difficulty, for display; consensus uses this.target
+    this.target = Retarget.difficultyToTarget(this.initialDifficulty);
+    // Emission schedule (see emission.js)
+    this.miningReward = 12.5; // Block subsidy before the first halving
+    this.halvingInterval = 210000; // Blocks per halving, about 24 days at the target block time
+    this.tailReward = 0; // Subsidy floor once halvings fall below it; 0 means no tail emission
+    this.maxSupply = 5250000; // Cap on total issuance in EKH, or null for no cap
+    this.maxBlockSize = 100000; // Bytes of serialized transactions per block, coinbase included
     this.targetBlockTime = 10000; // 10 seconds
     this.tokenName = 'Ekehi';
     this.tokenSymbol = 'EKH';
     this.networkName = 'Ekehi Network';
+    this.chainId = 'ekehi-testnet-1'; // Signed into every transaction to prevent cross-network replay
     this.minTransactionFee = 0.001;
+    this.gasPrice = 0.00000001; // Added to a contract call's minimum fee per unit of its gas limit
+    // Reject blocks stamped further ahead of our clock than this (default 2 hours)
+    this.maxFutureBlockTime = parseInt(process.env.MAX_FUTURE_BLOCK_TIME_MS, 10) || 2 * 60 * 60 * 1000;
+    this.medianTimeSpan = 11; // Blocks whose median timestamp a new block must exceed
+    this.maxHeadersPerRequest = 2000;
+    this.maxBlocksPerRequest = 100;
 
     // Auto-mining configuration
     this.autoMining = true;
     this.miningInterval = null;
     this.isMining = false;
-    this.minerAddress = this.generateWalletAddress();
+    this.miningJob = null; // { previousBlockHash, index, stale } of the template being searched
+    this.miningStats = { templatesBuilt: 0, staleTemplates: 0, lastStaleTemplate: null };
+    // Coinbase recipients for blocks this node mines: [{ address, percent }], percentages summing to 100.
+    // minerAddress is the first recipient; both stay empty until configured (see initializeMinerPayouts).
+    this.minerAddress = null;
+    this.minerPayouts = [];
+    this.maxCoinbaseOutputs = 10;
+    // Shared secret for operator-only routes (--operator-token / OPERATOR_TOKEN); without
+    // one those routes only answer requests from this machine
+    this.operatorToken = cliOption('operator-token') || process.env.OPERATOR_TOKEN || null;
+
+    // Funded on-chain accounts that pay out faucet, ecosystem and mining pool rewards.
+    // Keys come from FAUCET_PRIVATE_KEY / ECOSYSTEM_PRIVATE_KEY / POOL_PRIVATE_KEY or are generated once and persisted.
+    this.faucetWallet = null;
+    this.ecosystemWallet = null;
+    this.poolWallet = null;
+    this.miningWorkerCount = parseInt(process.env.MINING_WORKERS, 10) || Math.max(1, os.cpus().length - 1);
 
     // Enhanced peer discovery configuration
     this.discoverySeeds = [
@@ -47,7 +96,7 @@ class Blockchain {
     } else if (currentNodeUrl && !currentNodeUrl.includes('localhost')) {
       this.currentNodeUrl = currentNodeUrl;
     } else {
-      this.currentNodeUrl = `http://0.0.0.0:${process.argv[2] || 5000}`;
+      this.currentNodeUrl = `http://0.0.0.0:${cliArgs[0] || 5000}`;
     }
     this.maxPeers = 20;
     this.discoveryInterval = null;
@@ -62,6 +111,18 @@ class Blockchain {
 
     // Initialize LevelDB
     this.db = new Level('./blockchain-db', { valueEncoding: 'json' });
+    this.chainStore = new ChainStore(this);
+    this.forkChoice = new ForkChoice(this);
+    this.retarget = new Retarget(this);
+    this.blockTemplate = new BlockTemplateBuilder(this);
+    this.emission = new EmissionSchedule(this);
+    this.pool = new MiningPool(this);
+    this.chainIndex = new ChainIndex(this);
+    this.chainState = new ChainState(this);
+    this.blockPool = new BlockPool(this);
+    this.reorgCount = 0;
+    this.lastReorg = null;
+    this.chainLock = Promise.resolve(); // see withChainLock
 
     // Initialize contract system
     this.contractSystem = new ContractSystem(this);
@@ -69,9 +130,14 @@ class Blockchain {
     // Initialize sync manager
     this.syncManager = new SyncManager(this);
 
-    this.initializeBlockchain();
+    // Initialize worker-thread miner
+    this.miner = new Miner(this);
+    this.on('tip', tip => this.abandonStaleTemplate(tip));
+    this.on('tip', () => this.contractSystem.catchUp());
   }
 
+  // Load or create the chain and start the node's services; call once after construction.
+  // Rejects (with fault set) if this node can't run the stored chain's contract calls.
   async initializeBlockchain() {
     try {
       // Ensure database is properly opened first
@@ -82,17 +148,22 @@ class Blockchain {
 
       // Try to load existing data
       await this.loadFromDatabase();
+      this.adjustDifficulty();
       console.log(`${this.networkName} loaded with ${this.chain.length} blocks`);
 
-      // Verify we have a valid genesis block
-      if (this.chain.length === 0 || !this.isValidGenesisBlock(this.chain[0])) {
-        console.log('Invalid or missing genesis block, creating new one...');
+      // Verify we have a valid genesis block and that stored blocks pass current
+      // consensus rules (chains saved before Merkle headers or contract state roots
+      // cannot be verified)
+      if (this.chain.length === 0 || !this.isValidGenesisBlock(this.chain[0]) || !(await this.chainIsValid(this.chain))) {
+        console.log('Stored chain is missing or invalid, creating new genesis block...');
         this.chain = []; // Clear any invalid blocks
         this.createGenesisBlock();
         await this.saveToDatabase();
         console.log('New genesis block created and saved');
       }
     } catch (error) {
+      // Not being able to run a contract call says nothing about the stored chain
+      if (error.fault) throw error;
       console.log(`Creating new ${this.networkName}...`);
       this.chain = []; // Ensure clean slate
       this.createGenesisBlock();
@@ -110,6 +181,9 @@ class Blockchain {
       }
     }
 
+    this.initializeServiceWallets();
+    this.initializeMinerPayouts();
+
     // Start auto-mining if enabled
     if (this.autoMining) {
       this.startAutoMining();
@@ -130,6 +204,115 @@ class Blockchain {
     return address;
   }
 
+  // Load the faucet, ecosystem and pool payout keys: environment first, then the
+  // persisted config, otherwise generate new ones
+  initializeServiceWallets() {
+    const storedKeys = this.storedServiceKeys || {};
+    const loadWallet = (envKey, storedKey) => {
+      const privateKey = envKey || storedKey || this.createWallet().privateKey;
+      return {
+        address: this.generateWalletAddressFromPrivateKey(privateKey),
+        privateKey
+      };
+    };
+
+    const isNew = !storedKeys.faucet || !storedKeys.ecosystem || !storedKeys.pool;
+    this.faucetWallet = loadWallet(process.env.FAUCET_PRIVATE_KEY, storedKeys.faucet);
+    this.ecosystemWallet = loadWallet(process.env.ECOSYSTEM_PRIVATE_KEY, storedKeys.ecosystem);
+    this.poolWallet = loadWallet(process.env.POOL_PRIVATE_KEY, storedKeys.pool);
+
+    console.log(`🚰 Faucet account: ${this.faucetWallet.address}`);
+    console.log(`🌱 Ecosystem rewards account: ${this.ecosystemWallet.address}`);
+    console.log(`⛏️ Mining pool account: ${this.poolWallet.address}`);
+
+    if (isNew) {
+      this.saveToDatabase().catch(err => {
+        console.log('Failed to save service wallets, continuing:', err.message);
+      });
+    }
+  }
+
+  // Payout settings from --miner-payouts / --miner-address, then MINER_PAYOUTS / MINER_ADDRESS,
+  // then the persisted config. Without any, this node doesn't mine.
+  initializeMinerPayouts() {
+    const payoutList = cliOption('miner-payouts') || process.env.MINER_PAYOUTS;
+    const address = cliOption('miner-address') || process.env.MINER_ADDRESS;
+
+    try {
+      if (payoutList) {
+        this.setMinerPayouts({ payouts: Blockchain.parsePayoutList(payoutList) });
+      } else if (address) {
+        this.setMinerPayouts({ address });
+      } else if (this.storedMinerPayouts) {
+        this.setMinerPayouts({ payouts: this.storedMinerPayouts });
+      }
+    } catch (error) {
+      console.log(`⚠️ Ignoring miner payout settings: ${error.message}`);
+    }
+
+    if (this.minerPayouts.length === 0) {
+      console.log('⚠️ No miner address configured; set --miner-address, MINER_ADDRESS or POST /mining/config to mine');
+    } else {
+      console.log(`🏠 Mining rewards to: ${this.minerPayouts.map(p => `${p.address} (${p.percent}%)`).join(', ')}`);
+    }
+  }
+
+  // "EKH...:70,EKH...:30" -> [{ address, percent }]
+  static parsePayoutList(value) {
+    return value.split(',').map(entry => {
+      const [address, percent] = entry.trim().split(':');
+      return { address, percent: Number(percent) };
+    });
+  }
+
+  // Validates and applies coinbase payout settings: either a single address receiving
+  // everything, or payouts [{ address, percent }] whose percentages sum to 100.
+  // Throws on invalid settings; the caller persists them.
+  setMinerPayouts({ address, payouts }) {
+    if (!Array.isArray(payouts) || payouts.length === 0) {
+      payouts = [{ address, percent: 100 }];
+    }
+    if (payouts.length > this.maxCoinbaseOutputs) {
+      throw new Error(`At most ${this.maxCoinbaseOutputs} payout addresses are allowed`);
+    }
+
+    const seen = new Set();
+    for (const payout of payouts) {
+      if (!payout || !this.isValidAddress(payout.address) || payout.address === '00') {
+        throw new Error(`Invalid payout address ${payout?.address}`);
+      }
+      if (seen.has(payout.address)) {
+        throw new Error(`Payout address ${payout.address} is listed twice`);
+      }
+      if (typeof payout.percent !== 'number' || !(payout.percent > 0)) {
+        throw new Error(`Payout percentage for ${payout.address} must be a positive number`);
+      }
+      seen.add(payout.address);
+    }
+
+    const totalPercent = payouts.reduce((total, payout) => total + payout.percent, 0);
+    if (Math.abs(totalPercent - 100) > 1e-9) {
+      throw new Error(`Payout percentages add up to ${totalPercent}, expected 100`);
+    }
+
+    this.minerPayouts = payouts.map(({ address, percent }) => ({ address, percent }));
+    this.minerAddress = this.minerPayouts[0].address;
+    return this.getMinerConfig();
+  }
+
+  getMinerConfig() {
+    return {
+      configured: this.minerPayouts.length > 0,
+      minerAddress: this.minerAddress,
+      payouts: this.minerPayouts
+    };
+  }
+
+  // Faucet, ecosystem and pool payouts are ordinary signed transfers, so the service account must hold the funds
+  isServiceWalletFunded(wallet, amount) {
+    return this.chainState.getSpendableBalance(wallet.address) >= amount + this.minTransactionFee;
+  }
+
   // Validate EKH address format
   isValidAddress(address) {
     if (!address || typeof address !== 'string') return false;
@@ -153,14 +336,26 @@ class Blockchain {
     }
   }
 
-  // Auto-mining functionality
+  // Auto-mining functionality. autoMining records whether the operator wants it on;
+  // stopAutoMining only pauses the interval (e.g. during recovery) and leaves it as is.
   startAutoMining() {
+    this.autoMining = true;
+    if (this.miningInterval) {
+      console.log('⚠️ Auto-mining is already active');
+      return;
+    }
+
     console.log(`Starting auto-mining on ${this.networkName}...`);
     console.log(`Miner address: ${this.minerAddress}`);
 
+    // Blocks are mined whether or not anything is pending: a coinbase-only block is
+    // how a new network's first coins come into existence
     this.miningInterval = setInterval(async () => {
-      if (!this.isMining && this.pendingTransactions.length > 0) {
+      if (this.isMining) return;
+      try {
         await this.autoMine();
+      } catch (error) {
+        console.error('❌ Auto-mining failed:', error.message);
       }
     }, 5000); // Check every 5 seconds
   }
@@ -174,12 +369,15 @@ class Blockchain {
   }
 
   async autoMine() {
-    if (this.isMining) return;
+    if (this.isMining || this.miner.isSearching) return;
 
     // First sync transaction pool with network
     await this.syncTransactionPool();
 
-    if (this.pendingTransactions.length === 0) return;
+    if (!this.minerAddress) {
+      if (this.pendingTransactions.length > 0) console.log('⚠️ Auto-mining skipped: no miner address configured');
+      return;
+    }
 
     this.isMining = true;
     console.log(`Auto-mining started - ${this.pendingTransactions.length} pending transactions`);
@@ -196,47 +394,23 @@ class Blockchain {
       // Announce mining intent to network
       await this.announceMiningIntent();
 
-      const lastBlock = this.getLastBlock();
-      const previousBlockHash = lastBlock.hash;
-
-      // Use shared transaction pool
-      const availableTransactions = await this.getSharedTransactionPool();
-      const selectedTransactions = availableTransactions.slice(0, this.maxTransactionsPerBlock);
-
-      // Create mining reward transaction (this doesn't go through normal validation)
-      const rewardTransaction = {
-        amount: this.miningReward,
-        sender: '00',
-        recipient: this.minerAddress,
-        fee: 0,
-        transactionId: uuidv4().split('-').join(''),
-        timestamp: Date.now(),
-        network: this.networkName
-      };
-
-      // Combine selected transactions with mining reward
-      const allTransactions = [...selectedTransactions, rewardTransaction];
-
-      const currentBlockData = {
-        transactions: allTransactions,
-        index: lastBlock.index + 1,
-      };
-
-      const nonce = this.proofOfWork(previousBlockHash, currentBlockData);
-      const blockHash = this.hashBlock(previousBlockHash, currentBlockData, nonce);
-
-      const newBlock = await this.createNewBlock(nonce, previousBlockHash, blockHash, allTransactions);
-      this.adjustDifficulty();
+      const mined = await this.mineNextBlock(this.minerPayouts);
+      if (!mined) {
+        console.log('⏹️ Mining cancelled');
+        await this.clearMiningIntent();
+        return;
+      }
+      const { block: newBlock, template } = mined;
 
-      console.log(`⛏️ Block #${newBlock.index} mined successfully! Hash: ${blockHash.substring(0, 16)}...`);
-      console.log(`💰 Reward: ${this.miningReward} ${this.tokenSymbol} to ${this.minerAddress}`);
+      console.log(`⛏️ Block #${newBlock.index} mined successfully! Hash: ${newBlock.hash.substring(0, 16)}...`);
+      console.log(`💰 Reward: ${template.coinbaseAmount} ${this.tokenSymbol} to ${this.minerPayouts.map(p => p.address).join(', ')}`);
 
       // Broadcast new block and clear mining intent
       await this.broadcastNewBlock(newBlock);
       await this.clearMiningIntent();
 
       // Remove mined transactions from shared pool
-      await this.removeMinedTransactionsFromPool(selectedTransactions);
+      await this.removeMinedTransactionsFromPool(template.selected);
 
     } catch (error) {
       console.error('Auto-mining error:', error);
@@ -257,14 +431,7 @@ class Blockchain {
         return;
       }
 
-      const allTransactions = new Map();
-
-      // Add local transactions
-      this.pendingTransactions.forEach(tx => {
-        if (tx.transactionId) {
-          allTransactions.set(tx.transactionId, tx);
-        }
-      });
+      const remoteTransactions = new Map();
 
       // Fetch transactions from peers
       for (const peerUrl of this.networkNodes.slice(0, 3)) {
@@ -278,8 +445,8 @@ class Blockchain {
 
           if (response && response.pendingTransactions) {
             response.pendingTransactions.forEach(tx => {
-              if (tx.transactionId && !allTransactions.has(tx.transactionId)) {
-                allTransactions.set(tx.transactionId, tx);
+              if (tx.transactionId && !remoteTransactions.has(tx.transactionId)) {
+                remoteTransactions.set(tx.transactionId, tx);
               }
             });
           }
@@ -288,8 +455,22 @@ class Blockchain {
         }
       }
 
-      // Update local pending transactions
-      this.pendingTransactions = Array.from(allTransactions.values());
+      // Admit peer transactions through the same checks as local ones,
+      // in nonce order so that consecutive transactions from a sender chain up
+      const candidates = Array.from(remoteTransactions.values())
+        .filter(tx => !this.isKnownTransaction(tx.transactionId))
+        .sort((a, b) => (a.nonce || 0) - (b.nonce || 0));
+
+      for (const tx of candidates) {
+        try {
+          if (this.isValidTransaction(tx)) {
+            this.pendingTransactions.push(tx);
+          }
+        } catch (error) {
+          console.log(`Skipping peer transaction ${tx.transactionId}: ${error.message}`);
+        }
+      }
+
       console.log(`🔄 Transaction pool synced: ${this.pendingTransactions.length} transactions`);
 
     } catch (error) {
@@ -297,19 +478,6 @@ class Blockchain {
     }
   }
 
-  async getSharedTransactionPool() {
-    // Return high-priority transactions first (higher fees)
-    return this.pendingTransactions
-      .filter(tx => {
-        // Ensure transaction isn't already in blockchain
-        const exists = this.chain.some(block => 
-          block.transactions.some(btx => btx.transactionId === tx.transactionId)
-        );
-        return !exists;
-      })
-      .sort((a, b) => (b.fee || 0) - (a.fee || 0));
-  }
-
   async checkNetworkMiningStatus() {
     if (this.networkNodes.length === 0) {
       return { activeMiner: null };
@@ -487,24 +655,34 @@ class Blockchain {
 
   async loadFromDatabase() {
     try {
-      const chainData = await this.db.get('blockchain');
-      const pendingData = await this.db.get('pendingTransactions');
-      const networkData = await this.db.get('networkNodes');
-      const configData = await this.db.get('config');
+      const chainData = await this.chainStore.loadChain();
+      const pendingData = await this.chainStore.getOptional('pendingTransactions');
+      const networkData = await this.chainStore.getOptional('networkNodes');
+      const configData = await this.chainStore.getOptional('config');
 
       this.chain = chainData || [];
+      await this.chainIndex.load(this.chain);
+      await this.chainState.load(this.chain);
+      await this.contractSystem.load(this.chain);
       this.pendingTransactions = pendingData || [];
       this.networkNodes = networkData || [];
 
       if (configData) {
-        this.difficulty = configData.difficulty || this.difficulty;
-        this.minerAddress = configData.minerAddress || this.minerAddress;
+        // Configs saved before payout settings existed hold a random address nobody has the key for
+        this.storedMinerPayouts = configData.minerPayouts;
+        this.storedServiceKeys = {
+          faucet: configData.faucetPrivateKey,
+          ecosystem: configData.ecosystemPrivateKey,
+          pool: configData.poolPrivateKey
+        };
       }
 
       if (this.chain.length === 0) {
         throw new Error('No existing blockchain found');
       }
     } catch (error) {
+      // A contract call this node couldn't run isn't a missing chain
+      if (error.fault) throw error;
       throw new Error('No existing blockchain found');
     }
   }
@@ -527,16 +705,26 @@ class Blockchain {
         }
       }
 
-      // Save data with individual error handling
+      // Contracts are executed up to the tip first so they're saved with it. New
+      // blocks, mempool, peers and config are then committed in a single batch.
+      await this.contractSystem.catchUp();
       try {
-        await this.db.put('blockchain', this.chain);
-        await this.db.put('pendingTransactions', this.pendingTransactions);
-        await this.db.put('networkNodes', this.networkNodes);
-        await this.db.put('config', {
-          difficulty: this.difficulty,
-          minerAddress: this.minerAddress,
-          lastSaved: Date.now()
-        });
+        await this.chainStore.saveChain(this.chain, [
+          { type: 'put', key: 'pendingTransactions', value: this.pendingTransactions },
+          { type: 'put', key: 'networkNodes', value: this.networkNodes },
+          {
+            type: 'put',
+            key: 'config',
+            value: {
+              minerAddress: this.minerAddress,
+              minerPayouts: this.minerPayouts.length > 0 ? this.minerPayouts : undefined,
+              faucetPrivateKey: this.faucetWallet?.privateKey,
+              ecosystemPrivateKey: this.ecosystemWallet?.privateKey,
+              poolPrivateKey: this.poolWallet?.privateKey,
+              lastSaved: Date.now()
+            }
+          }
+        ]);
         console.log('✅ Database saved successfully');
       } catch (writeError) {
         console.log('Database write failed, continuing without persistence:', writeError.message);
@@ -558,10 +746,13 @@ class Blockchain {
       index: 1, // Always use index 1 for consistency
       timestamp: Date.now(),
       transactions: [],
+      merkleRoot: this.calculateMerkleRoot([]),
+      contractStateRoot: EMPTY_MERKLE_ROOT,
       nonce: 100,
       hash: '0',
       previousBlockHash: '0',
-      difficulty: this.difficulty,
+      difficulty: this.initialDifficulty,
+      target: Retarget.difficultyToTarget(this.initialDifficulty),
       version: '1.0.0',
       network: this.networkName
     };
@@ -569,132 +760,603 @@ class Blockchain {
     console.log('Genesis block created with index 1');
   }
 
-  async createNewBlock(nonce, previousBlockHash, hash, preConstructedTransactions = null) {
-    // Use pre-constructed transactions if provided (for mining), otherwise use pending transactions
-    const processedTransactions = preConstructedTransactions || this.pendingTransactions.slice(0, this.maxTransactionsPerBlock);
+  // blockData must be the header fields the nonce was found for (see prepareBlockData)
+  async createNewBlock(nonce, previousBlockHash, hash, preConstructedTransactions = null, blockData = null) {
+    // Use pre-constructed transactions if provided (for mining), otherwise assemble a block template
+    const processedTransactions = preConstructedTransactions || this.blockTemplate.build().transactions;
+    const header = blockData || await this.prepareBlockData(processedTransactions);
+    const newBlock = this.buildBlock(nonce, previousBlockHash, hash, processedTransactions, header);
 
-    // Calculate total fees
-    const totalFees = processedTransactions.reduce((total, tx) => {
-      return total + (tx.fee || 0);
-    }, 0);
+    // Locally mined blocks go through the same checks as blocks from peers
+    const result = await this.acceptBlock(newBlock, 'local miner');
+    if (!result.accepted) {
+      throw new Error(`Mined block rejected: ${result.reason}`);
+    }
 
-    const newBlock = {
-      index: this.chain.length + 1,
-      timestamp: Date.now(),
-      transactions: processedTransactions,
+    return newBlock;
+  }
+
+  // Block object for solved header fields (see prepareBlockData)
+  buildBlock(nonce, previousBlockHash, hash, transactions, header) {
+    return {
+      index: header.index,
+      timestamp: header.timestamp,
+      transactions,
+      merkleRoot: header.merkleRoot,
+      contractStateRoot: header.contractStateRoot,
       nonce,
       hash,
       previousBlockHash,
-      difficulty: this.difficulty,
-      totalFees,
+      difficulty: header.difficulty,
+      target: header.target,
+      totalFees: this.sumTransactionFees(transactions),
       version: '1.0.0',
       network: this.networkName
     };
+  }
 
-    // Only remove from pending transactions if we didn't use pre-constructed transactions
-    if (!preConstructedTransactions) {
-      this.pendingTransactions = this.pendingTransactions.slice(this.maxTransactionsPerBlock);
-    } else {
-      // Remove the non-reward transactions from pending pool
-      const nonRewardTxIds = processedTransactions
-        .filter(tx => tx.sender !== '00')
-        .map(tx => tx.transactionId);
-      
-      this.pendingTransactions = this.pendingTransactions.filter(tx => 
-        !nonRewardTxIds.includes(tx.transactionId)
-      );
+  // Single path for extending the chain, used by local mining, peer relay and sync.
+  // Blocks on another branch are held as side blocks (or orphans if their parent is
+  // unknown) and trigger a reorganization once their branch has more work.
+  // Resolves to { accepted, reason } plus orphan, sideChain or reorg details, or
+  // fault when this node couldn't execute the block's contract calls.
+  acceptBlock(block, source = 'unknown') {
+    return this.withChainLock(() => this.processBlock(block, source));
+  }
+
+  // Run task once every earlier one has finished. acceptBlock and reorganize go
+  // through here: validating a block awaits its contract calls, and the chain must
+  // not move while it does.
+  withChainLock(task) {
+    const run = this.chainLock.then(task);
+    this.chainLock = run.catch(() => {});
+    return run;
+  }
+
+  // acceptBlock without taking the chain lock
+  async processBlock(block, source) {
+    if (!block || typeof block.hash !== 'string' || typeof block.previousBlockHash !== 'string') {
+      return { accepted: false, reason: 'Malformed block structure' };
+    }
+    if (this.chainIndex.getHeight(block.hash) !== undefined || this.blockPool.has(block.hash)) {
+      return { accepted: false, reason: 'Block already known' };
+    }
+    if (block.previousBlockHash !== this.getLastBlock().hash) {
+      return this.acceptForkBlock(block, source);
+    }
+
+    let state;
+    try {
+      // Contracts may still be executing blocks that connected without them
+      await this.contractSystem.sync();
+      state = this.createValidationState(this.chain);
+      state.contracts = this.contractSystem.createValidationState(this.chain);
+    } catch (error) {
+      console.log(`⚠️ Block #${block.index} from ${source} not checked: ${error.message}`);
+      return { accepted: false, fault: true, reason: `Contract state unavailable on this node: ${error.message}` };
     }
+    const result = await this.validateBlock(block, this.chain, state);
 
-    this.chain.push(newBlock);
+    if (!result.valid) {
+      console.log(`${result.fault ? '⚠️' : '❌'} Block #${block?.index} from ${source} rejected: ${result.reason}`);
+      return { accepted: false, fault: result.fault, reason: result.reason };
+    }
+
+    this.recordDifficulty(block);
+    this.chain.push(block);
+    this.contractSystem.connectBlock(block, result.execution);
+
+    // Drop what the block confirmed and whatever it made invalid, such as a pending
+    // transaction reusing a nonce the block spent, so getNextNonce stays right
+    this.rebuildMempool();
+
+    this.adjustDifficulty();
+    this.nodeMetrics.blocksProcessed++;
+    this.nodeMetrics.transactionsProcessed += block.transactions.length;
 
     await this.saveToDatabase();
-    return newBlock;
+    console.log(`📦 Block #${block.index} from ${source} accepted`);
+    this.emit('tip', { hash: block.hash, height: block.index, source });
+
+    await this.connectOrphans(block.hash);
+    return { accepted: true };
+  }
+
+  // difficulty isn't covered by the block hash, so whatever a peer sent is replaced
+  // with the value derived from the validated target before the block is kept
+  recordDifficulty(block) {
+    block.difficulty = Retarget.targetToDifficulty(block.target);
+  }
+
+  // A block that doesn't build on our tip: hold it until its branch wins or its parent arrives
+  async acceptForkBlock(block, source) {
+    // Cheap checks before holding a block we can't fully validate yet
+    if (!this.isValidBlockStructure(block) || !this.hasValidProofOfWork(block)) {
+      console.log(`❌ Block #${block.index} from ${source} rejected: invalid proof of work`);
+      return { accepted: false, reason: 'Block hash does not meet its proof-of-work target' };
+    }
+    // Held under its hash, a malleated copy would make the real block look already known
+    if (this.hasDuplicateTransactions(block)) {
+      console.log(`❌ Block #${block.index} from ${source} rejected: duplicate transactions`);
+      return { accepted: false, reason: 'Block contains duplicate transactions' };
+    }
+
+    const branch = this.findBranch(block);
+    if (!branch) {
+      this.blockPool.addOrphan(block, source);
+      console.log(`🧩 Block #${block.index} from ${source} held as orphan (parent ${block.previousBlockHash.substring(0, 16)}... unknown)`);
+      return { accepted: false, orphan: true, reason: 'Parent block unknown; held in orphan pool' };
+    }
+
+    if (!this.forkChoice.isBetterBranch(branch.forkHeight, branch.blocks)) {
+      this.blockPool.addSideBlock(block);
+      console.log(`🌿 Block #${block.index} from ${source} stored on a side chain forking at height ${branch.forkHeight}`);
+      await this.connectOrphans(block.hash);
+      return { accepted: false, sideChain: true, reason: 'Block extends a side chain with no more work than the active chain' };
+    }
+
+    const result = await this.switchBranch(branch.forkHeight, branch.blocks, source);
+    if (result.fault) {
+      // Kept so the branch can be tried again once this node can run its contracts
+      this.blockPool.addSideBlock(block);
+      return { accepted: false, fault: true, reason: result.reason };
+    }
+    if (!result.reorganized) {
+      branch.blocks.forEach(sideBlock => this.blockPool.removeSideBlock(sideBlock.hash));
+      return { accepted: false, reason: result.reason };
+    }
+
+    await this.connectOrphans(this.getLastBlock().hash);
+    return { accepted: true, reorg: result };
+  }
+
+  // Walk back through side blocks to the active chain. Returns { forkHeight, blocks }
+  // with blocks ordered from the fork point, or null if the branch's root is unknown.
+  findBranch(block) {
+    const blocks = [block];
+    let parentHash = block.previousBlockHash;
+    let parent = this.blockPool.getSideBlock(parentHash);
+
+    while (parent) {
+      blocks.unshift(parent);
+      parentHash = parent.previousBlockHash;
+      parent = this.blockPool.getSideBlock(parentHash);
+    }
+
+    const forkHeight = this.chainIndex.getHeight(parentHash);
+    return forkHeight === undefined ? null : { forkHeight, blocks };
+  }
+
+  // Connect orphans that were waiting for parentHash (recursively, via processBlock)
+  async connectOrphans(parentHash) {
+    for (const { block, source } of this.blockPool.takeOrphanChildren(parentHash)) {
+      await this.processBlock(block, source);
+    }
+  }
+
+  // Switch the active chain to newBlocks, which build on the block at forkHeight.
+  // Our blocks above the fork point are disconnected (chainstate and indexes roll
+  // back through their undo data), the new branch is connected with full
+  // validation, and transactions only the old branch confirmed go back to the
+  // mempool. The new branch is validated on a copy, so the active chain only
+  // changes once all of it is valid.
+  reorganize(forkHeight, newBlocks, source = 'unknown') {
+    return this.withChainLock(() => this.switchBranch(forkHeight, newBlocks, source));
+  }
+
+  // reorganize without taking the chain lock
+  async switchBranch(forkHeight, newBlocks, source) {
+    const oldChain = this.chain;
+
+    if (newBlocks.length === 0 || newBlocks[0].previousBlockHash !== oldChain[forkHeight - 1]?.hash) {
+      return { reorganized: false, reason: 'New branch does not connect to the fork point' };
+    }
+    if (!this.forkChoice.isBetterBranch(forkHeight, newBlocks)) {
+      return { reorganized: false, reason: 'New branch has no more work than the active chain' };
+    }
+
+    const disconnected = oldChain.slice(forkHeight);
+    const chain = oldChain.slice(0, forkHeight);
+    let state;
+    try {
+      await this.contractSystem.sync();
+      state = this.createValidationState(chain);
+      state.contracts = this.contractSystem.createValidationState(chain);
+    } catch (error) {
+      console.log(`⚠️ Reorganization to branch from ${source} not checked: ${error.message}`);
+      return { reorganized: false, fault: true, reason: `Contract state unavailable on this node: ${error.message}` };
+    }
+
+    const executions = [];
+    for (const block of newBlocks) {
+      const result = await this.validateBlock(block, chain, state);
+      if (!result.valid) {
+        console.log(`${result.fault ? '⚠️' : '❌'} Reorganization to branch from ${source} aborted at block #${block.index}: ${result.reason}`);
+        return { reorganized: false, fault: result.fault, reason: `Block #${block.index}: ${result.reason}` };
+      }
+      chain.push(block);
+      executions.push(result.execution);
+    }
+    newBlocks.forEach(block => this.recordDifficulty(block));
+
+    this.chain = chain;
+    this.contractSystem.connectBranch(forkHeight, newBlocks, executions);
+
+    // The old branch stays available in case it overtakes the new one again
+    disconnected.forEach(block => this.blockPool.addSideBlock(block));
+    newBlocks.forEach(block => this.blockPool.removeSideBlock(block.hash));
+
+    const orphanedTransactions = disconnected
+      .flatMap(block => block.transactions)
+      .filter(tx => tx.sender !== '00');
+    const returnedToMempool = this.rebuildMempool(orphanedTransactions);
+
+    this.adjustDifficulty();
+    this.nodeMetrics.blocksProcessed += newBlocks.length;
+    await this.saveToDatabase();
+
+    const reorg = {
+      depth: disconnected.length,
+      forkHeight,
+      oldTip: oldChain[oldChain.length - 1].hash,
+      newTip: this.getLastBlock().hash,
+      connected: newBlocks.length,
+      returnedToMempool,
+      source,
+      timestamp: Date.now()
+    };
+    this.reorgCount++;
+    this.lastReorg = reorg;
+
+    console.log(`🔀 Reorganized from ${source}: disconnected ${reorg.depth}, connected ${reorg.connected} blocks at fork height ${forkHeight}`);
+    this.emit('reorg', reorg);
+    this.emit('tip', { hash: reorg.newTip, height: this.chain.length, source });
+    return { reorganized: true, ...reorg };
+  }
+
+  // Re-admit the mempool plus returnedTransactions against the current chain,
+  // in nonce order so consecutive transactions from a sender chain up. Run after
+  // every connected block and reorganization; transactions that were confirmed or
+  // no longer validate are dropped. Returns how many of returnedTransactions made it back in.
+  rebuildMempool(returnedTransactions = []) {
+    const returnedIds = new Set(returnedTransactions.map(tx => tx.transactionId));
+    const seen = new Set();
+    const candidates = [...returnedTransactions, ...this.pendingTransactions]
+      .filter(tx => {
+        if (seen.has(tx.transactionId)) return false;
+        seen.add(tx.transactionId);
+        return this.getTransaction(tx.transactionId).transaction === null;
+      })
+      .sort((a, b) => (a.nonce || 0) - (b.nonce || 0));
+
+    this.pendingTransactions = [];
+    let returned = 0;
+    for (const tx of candidates) {
+      try {
+        if (this.isValidTransaction(tx)) {
+          this.pendingTransactions.push(tx);
+          if (returnedIds.has(tx.transactionId)) returned++;
+        }
+      } catch (error) {
+        console.log(`Transaction ${tx.transactionId} dropped from the mempool: ${error.message}`);
+      }
+    }
+    return returned;
+  }
+
+  // Connect the blocks of a peer chain that extend our tip. Returns the
+  // number of blocks connected, or -1 if the peer chain does not build on our tip.
+  async extendChain(peerChain, source = 'unknown') {
+    const tip = this.getLastBlock();
+    const tipPosition = peerChain.findIndex(block => block.hash === tip.hash && block.index === tip.index);
+    if (tipPosition === -1) return -1;
+
+    let connected = 0;
+    for (const block of peerChain.slice(tipPosition + 1)) {
+      const result = await this.acceptBlock(block, source);
+      if (!result.accepted) break;
+      connected++;
+    }
+    return connected;
   }
 
   getLastBlock() {
     return this.chain[this.chain.length - 1];
   }
 
-  createNewTransaction(amount, sender, recipient, fee = 0) {
-    // Enforce minimum fee - don't auto-adjust, validate as provided
-    const actualFee = parseFloat(fee) || 0;
+  // Tip summary peers compare before asking for headers
+  getChainTip() {
+    const tip = this.getLastBlock();
+    return {
+      height: this.chain.length,
+      hash: tip.hash,
+      difficulty: tip.difficulty,
+      target: tip.target,
+      timestamp: tip.timestamp,
+      chainWork: ForkChoice.formatWork(this.forkChoice.getActiveWork())
+    };
+  }
 
-    // Enhanced validation
-    if (!this.isValidTransaction(amount, sender, recipient, actualFee)) {
-      throw new Error('Invalid transaction');
-    }
+  // Everything needed to check a block's linkage and proof of work without its transactions
+  getBlockHeader(block) {
+    return {
+      hash: block.hash,
+      previousBlockHash: block.previousBlockHash,
+      nonce: block.nonce,
+      difficulty: block.difficulty,
+      ...this.getBlockHeaderData(block)
+    };
+  }
 
-    // Apply minimum fee after validation
-    const finalFee = Math.max(actualFee, this.minTransactionFee);
+  // Blocks by height (genesis is height 1), clamped to the chain
+  getBlocksByHeight(start, count) {
+    const from = Math.max(0, start - 1);
+    return this.chain.slice(from, from + Math.max(0, count));
+  }
+
+  // data is optional application metadata (e.g. ecosystem reward activity) covered by the signature
+  createNewTransaction(amount, sender, recipient, fee = 0, privateKey = null, data = null) {
+    // Enforce minimum fee - don't auto-adjust, validate as provided
+    const actualFee = parseFloat(fee) || 0;
 
     const newTransaction = {
       amount: parseFloat(amount),
       sender,
       recipient,
-      fee: finalFee,
-      transactionId: uuidv4().split('-').join(''),
+      fee: actualFee,
       timestamp: Date.now(),
-      network: this.networkName
+      network: this.networkName,
+      chainId: this.chainId
     };
+    if (data) {
+      newTransaction.data = data;
+    }
+
+    // Every transfer must be signed by the key that owns the sender address
+    if (!privateKey) {
+      throw new Error('Private key is required to sign the transaction');
+    }
+    newTransaction.nonce = this.getNextNonce(sender);
+    this.signTransaction(newTransaction, privateKey);
+
+    // Enhanced validation
+    if (!this.isValidTransaction(newTransaction)) {
+      throw new Error('Invalid transaction');
+    }
+
     return newTransaction;
   }
 
-  isValidTransaction(amount, sender, recipient, fee = 0) {
+  isValidTransaction(transaction) {
+    const { amount, sender, recipient } = transaction;
+    const isContractTransaction = ContractSystem.isContractTransaction(transaction);
+
     // Enhanced validation
-    if (amount <= 0) return false;
+    if (!this.isValidTransactionAmount(transaction)) return false;
     if (sender === recipient) return false;
     if (!sender || !recipient) return false;
-    if (!this.isValidAddress(sender) && sender !== '00' && sender !== 'FAUCET' && sender !== 'ECOSYSTEM') return false;
-    if (!this.isValidAddress(recipient)) return false;
+    if (!this.isValidAddress(sender)) return false;
+    if (!isContractTransaction && !this.isValidAddress(recipient)) return false;
 
-    // Special senders don't require fees
-    if (sender === '00' || sender === 'FAUCET' || sender === 'ECOSYSTEM') {
-      return true;
+    // Coinbase transactions only exist inside the block that mints them
+    if (sender === '00') {
+      throw new Error('Mining reward transactions cannot be submitted to the mempool');
     }
 
-    // Enforce minimum fee requirement for regular transactions
-    const actualFee = parseFloat(fee) || 0;
-    if (actualFee < this.minTransactionFee) {
-      throw new Error(`Minimum transaction fee is ${this.minTransactionFee} ${this.tokenSymbol}. Provided: ${actualFee}`);
+    // Spending requires a valid signature from the sender's key
+    if (!this.verifyTransactionSignature(transaction)) {
+      throw new Error('Transaction signature is missing or invalid');
+    }
+
+    if (transaction.chainId !== this.chainId) {
+      throw new Error(`Transaction belongs to chain ${transaction.chainId}, expected ${this.chainId}`);
     }
 
-    // Check sender balance (except for mining rewards, faucet, and ecosystem)
-    if (sender !== '00' && sender !== 'FAUCET' && sender !== 'ECOSYSTEM') {
-      const senderData = this.getAddressData(sender);
-      const totalAmount = parseFloat(amount) + actualFee;
-      if (senderData.addressBalance < totalAmount) {
-        throw new Error(`Insufficient balance. Required: ${totalAmount} ${this.tokenSymbol}, Available: ${senderData.addressBalance} ${this.tokenSymbol}`);
+    // Each sender's transactions must be numbered consecutively
+    const expectedNonce = this.getNextNonce(sender);
+    if (transaction.nonce !== expectedNonce) {
+      throw new Error(`Invalid nonce for ${sender}. Expected: ${expectedNonce}, Provided: ${transaction.nonce}`);
+    }
+
+    if (isContractTransaction) {
+      const reason = this.contractSystem.validateTransaction(transaction) || this.contractSystem.validatePendingTransaction(transaction);
+      if (reason) {
+        throw new Error(reason);
       }
     }
+
+    // Blocks reject fees below the minimum or finer than 0.00000001, so the mempool does too
+    const minimumFee = this.getMinimumFee(ContractSystem.getGasLimit(transaction));
+    if (!this.isValidFee(transaction.fee, minimumFee)) {
+      throw new Error(`Minimum transaction fee is ${minimumFee} ${this.tokenSymbol}, in whole units of 0.00000001. Provided: ${transaction.fee}`);
+    }
+    const actualFee = transaction.fee;
+
+    // Check sender balance, net of what the sender already spends in the mempool
+    const balance = this.chainState.getSpendableBalance(sender);
+    const totalAmount = parseFloat(amount) + actualFee;
+    if (balance < totalAmount) {
+      throw new Error(`Insufficient balance. Required: ${totalAmount} ${this.tokenSymbol}, Available: ${balance} ${this.tokenSymbol}`);
+    }
     return true;
   }
 
+  // Header fields committed to by the block hash; transactions are covered by
+  // merkleRoot and the contracts after them by contractStateRoot
+  getBlockHeaderData(block) {
+    return {
+      index: block.index,
+      timestamp: block.timestamp,
+      merkleRoot: block.merkleRoot,
+      contractStateRoot: block.contractStateRoot,
+      target: block.target
+    };
+  }
+
+  // Header fields for the next block on top of the current tip, plus the
+  // target's readable difficulty (display only: not hashed or validated).
+  // contractStateRoot comes from executing the block's contract calls, so this
+  // rejects like ContractSystem.executeBlock. The fields are read from the tip as
+  // it is when called; if it moves meanwhile the header is stale.
+  async prepareBlockData(transactions) {
+    const target = this.getNextTarget(this.chain);
+    const header = {
+      index: this.getLastBlock().index + 1,
+      timestamp: Math.max(Date.now(), this.getMedianTimePast(this.chain) + 1),
+      merkleRoot: this.calculateMerkleRoot(transactions),
+      target,
+      difficulty: Retarget.targetToDifficulty(target)
+    };
+
+    await this.contractSystem.sync();
+    const { records, stateRoot } = this.contractSystem.createValidationState(this.chain);
+    const execution = await this.contractSystem.executeBlock({ ...header, transactions }, records, stateRoot);
+    return { ...header, contractStateRoot: execution.stateRoot };
+  }
+
+  // Merkle leaf for a transaction: its canonical signing payload, which fixes the
+  // field order and (through transactionId) the ID, whatever its JSON key order
+  getTransactionHash(transaction) {
+    return MerkleTree.hashLeaf(this.getTransactionSigningPayload(transaction));
+  }
+
+  // Serialized size in bytes, counted against maxBlockSize
+  getTransactionSize(transaction) {
+    return Buffer.byteLength(JSON.stringify(transaction));
+  }
+
+  calculateMerkleRoot(transactions) {
+    return new MerkleTree(transactions.map(tx => this.getTransactionHash(tx))).getRoot();
+  }
+
+  // Merkle branch proving a confirmed transaction is part of its block's header
+  getTransactionProof(transactionId) {
+    const { transaction, block } = this.getTransaction(transactionId);
+    if (!transaction || !block) return null;
+
+    const leaves = block.transactions.map(tx => this.getTransactionHash(tx));
+    const position = block.transactions.indexOf(transaction);
+    const tree = new MerkleTree(leaves);
+
+    return {
+      transactionId,
+      leaf: leaves[position],
+      position,
+      branch: tree.getProof(position),
+      merkleRoot: tree.getRoot(),
+      blockHash: block.hash,
+      blockIndex: block.index,
+      header: {
+        previousBlockHash: block.previousBlockHash,
+        nonce: block.nonce,
+        ...this.getBlockHeaderData(block)
+      }
+    };
+  }
+
+  // Serialize header fields positionally so key order can't change the hash
+  serializeBlockHeader(currentBlockData) {
+    return JSON.stringify([
+      currentBlockData.index,
+      currentBlockData.timestamp,
+      currentBlockData.merkleRoot,
+      currentBlockData.target,
+      currentBlockData.contractStateRoot
+    ]);
+  }
+
+  // Hash recomputes from the header and meets the block's own target. Whether that
+  // target is the right one depends on chain history and is checked in validateBlock.
+  hasValidProofOfWork(block) {
+    const hash = this.hashBlock(block.previousBlockHash, this.getBlockHeaderData(block), block.nonce);
+    return hash === block.hash && Retarget.meetsTarget(hash, block.target);
+  }
+
   hashBlock(previousBlockHash, currentBlockData, nonce) {
-    const dataAsString = previousBlockHash + nonce.toString() + JSON.stringify(currentBlockData);
+    const dataAsString = previousBlockHash + nonce.toString() + this.serializeBlockHeader(currentBlockData);
     const hash = sha256(dataAsString);
     return hash;
   }
 
-  proofOfWork(previousBlockHash, currentBlockData) {
-    let nonce = 0;
-    let hash = this.hashBlock(previousBlockHash, currentBlockData, nonce);
-    const target = '0'.repeat(this.difficulty);
+  // Runs the nonce search on worker threads; resolves to null if cancelled
+  async proofOfWork(previousBlockHash, currentBlockData) {
+    const result = await this.miner.mine(previousBlockHash, currentBlockData);
+    if (!result) return null;
 
-    const startTime = Date.now();
-    while (hash.substring(0, this.difficulty) !== target) {
-      nonce++;
-      hash = this.hashBlock(previousBlockHash, currentBlockData, nonce);
+    console.log(`Mining completed in ${result.elapsed}ms with nonce: ${result.nonce} (${Math.round(this.miner.lastHashRate)} H/s on ${this.miningWorkerCount} workers)`);
+    return result.nonce;
+  }
+
+  // Abort an in-progress nonce search, e.g. when the node shuts down
+  cancelMining() {
+    return this.miner.cancel();
+  }
+
+  // Mine a block on the current tip paying payouts. If a competing block (from a peer,
+  // sync or an external miner) moves the tip mid-search, the template is stale: the
+  // search is abandoned and a fresh template is built on the new tip, which leaves out
+  // the transactions that block confirmed. A block with only the coinbase is mined when
+  // nothing is pending. Resolves to { block, template }, or null if mining was cancelled.
+  async mineNextBlock(payouts = this.minerPayouts) {
+    for (;;) {
+      const { previousBlockHash, template, header } = await this.blockTemplate.assemble(payouts);
+      this.miningStats.templatesBuilt++;
+
+      const job = { previousBlockHash, index: header.index, stale: false };
+      this.miningJob = job;
+      let nonce;
+      try {
+        nonce = await this.proofOfWork(previousBlockHash, header);
+      } finally {
+        this.miningJob = null;
+      }
+
+      // The search can also finish just as another block lands
+      if (!job.stale && this.getLastBlock().hash !== previousBlockHash) {
+        this.recordStaleTemplate(job, this.getLastBlock().hash);
+      }
+      if (job.stale) {
+        console.log(`♻️ Rebuilding the block template on the new tip #${this.getLastBlock().index}`);
+        continue;
+      }
+      if (nonce === null) return null;
+
+      const hash = this.hashBlock(previousBlockHash, header, nonce);
+      const block = await this.createNewBlock(nonce, previousBlockHash, hash, template.transactions, header);
+      return { block, template };
     }
+  }
+
+  // 'tip' listener: a search on any other parent can only produce a fork
+  abandonStaleTemplate(tip) {
+    const job = this.miningJob;
+    if (!job || job.stale || job.previousBlockHash === tip.hash) return;
+
+    this.recordStaleTemplate(job, tip.hash);
+    this.cancelMining();
+  }
 
-    const miningTime = Date.now() - startTime;
-    console.log(`Mining completed in ${miningTime}ms with nonce: ${nonce}`);
-    return nonce;
+  recordStaleTemplate(job, newTip) {
+    job.stale = true;
+    this.miningStats.staleTemplates++;
+    this.miningStats.lastStaleTemplate = {
+      index: job.index,
+      previousBlockHash: job.previousBlockHash,
+      newTip,
+      timestamp: Date.now()
+    };
+    console.log(`🗑️ Block #${job.index} template is stale: the tip moved to ${newTip.substring(0, 16)}...`);
   }
 
   async addTransactionToPendingTransactions(transactionObj) {
-    // Add minimum fee if not specified
-    if (!transactionObj.fee) {
-      transactionObj.fee = this.minTransactionFee;
+    // Reject replays of transactions we already hold or have confirmed
+    if (this.isKnownTransaction(transactionObj.transactionId)) {
+      throw new Error(`Transaction ${transactionObj.transactionId} already exists`);
+    }
+
+    // Relayed and locally created transfers must carry a valid signature
+    if (!this.isValidTransaction(transactionObj)) {
+      throw new Error('Invalid transaction');
     }
 
     this.pendingTransactions.push(transactionObj);
@@ -702,52 +1364,168 @@ class Blockchain {
     return this.getLastBlock().index + 1;
   }
 
-  // Enhanced chain validation
-  chainIsValid(blockchain) {
-    let validChain = true;
+  isKnownTransaction(transactionId) {
+    if (this.pendingTransactions.some(tx => tx.transactionId === transactionId)) {
+      return true;
+    }
+    return this.getTransaction(transactionId).transaction !== null;
+  }
+
+  // Next nonce a sender must use: one past its highest nonce, confirmed or still in the
+  // mempool (a count of pending transactions would repeat a nonce if one were missing)
+  getNextNonce(address) {
+    const highestNonce = this.pendingTransactions.reduce((highest, tx) =>
+      tx.sender === address && typeof tx.nonce === 'number' ? Math.max(highest, tx.nonce) : highest,
+      this.chainState.getNonce(address)
+    );
+    return highestNonce + 1;
+  }
 
+  // Enhanced chain validation. Throws (with fault set) if this node couldn't run
+  // one of the chain's contract calls, which leaves the chain's validity unknown.
+  async chainIsValid(blockchain) {
     const genesisBlock = blockchain[0];
     if (!this.isValidGenesisBlock(genesisBlock)) {
       return false;
     }
 
-    for (let i = 1; i < blockchain.length; i++) {
-      const currentBlock = blockchain[i];
-      const prevBlock = blockchain[i - 1];
+    // Balances, nonces, transaction IDs and contracts carried across blocks
+    const state = this.createValidationState([]);
+    state.contracts = this.contractSystem.createValidationState([]);
 
-      if (!this.isValidBlockStructure(currentBlock)) {
-        validChain = false;
-        break;
+    for (let i = 1; i < blockchain.length; i++) {
+      const result = await this.validateBlock(blockchain[i], blockchain, state, i - 1);
+      if (result.fault) {
+        throw Object.assign(new Error(`Could not validate block #${blockchain[i].index}: ${result.reason}`), { fault: true });
       }
-
-      if (currentBlock.previousBlockHash !== prevBlock.hash) {
-        validChain = false;
-        break;
+      if (!result.valid) {
+        console.log(`❌ Chain invalid at block #${blockchain[i]?.index}: ${result.reason}`);
+        return false;
       }
+    }
 
-      const blockHash = this.hashBlock(prevBlock.hash, {
-        transactions: currentBlock.transactions,
-        index: currentBlock.index
-      }, currentBlock.nonce);
+    return true;
+  }
 
-      if (blockHash !== currentBlock.hash) {
-        validChain = false;
-        break;
-      }
+  // Validate a block on top of chain[parentPosition]. state holds balances,
+  // nonces and transaction IDs as of the parent, plus contracts: { records,
+  // stateRoot } from ContractSystem.createValidationState, and is updated in place.
+  // Resolves to { valid, reason } with the block's contract execution when valid
+  // (see ContractSystem.connectBlock). If this node couldn't run one of its contract
+  // calls, valid is false and fault is set: the block may well be valid.
+  async validateBlock(block, chain, state, parentPosition = chain.length - 1) {
+    const prevBlock = chain[parentPosition];
 
-      const difficulty = currentBlock.difficulty || this.difficulty;
-      if (blockHash.substring(0, difficulty) !== '0'.repeat(difficulty)) {
-        validChain = false;
-        break;
-      }
+    if (!block || !this.isValidBlockStructure(block)) {
+      return { valid: false, reason: 'Malformed block structure' };
+    }
 
-      if (!this.validateBlockTransactions(currentBlock)) {
-        validChain = false;
-        break;
-      }
+    if (block.previousBlockHash !== prevBlock.hash) {
+      return { valid: false, reason: 'Previous block hash does not match parent' };
+    }
+
+    if (block.index !== prevBlock.index + 1) {
+      return { valid: false, reason: `Expected index ${prevBlock.index + 1}, got ${block.index}` };
+    }
+
+    const medianTimePast = this.getMedianTimePast(chain, parentPosition);
+    if (block.timestamp <= medianTimePast) {
+      return { valid: false, reason: `Block timestamp ${block.timestamp} is not after the median time of the previous ${this.medianTimeSpan} blocks (${medianTimePast})` };
+    }
+    const drift = block.timestamp - Date.now();
+    if (drift > this.maxFutureBlockTime) {
+      return { valid: false, reason: `Block timestamp is ${drift}ms ahead of this node's clock (limit ${this.maxFutureBlockTime}ms)` };
+    }
+
+    const blockSize = block.transactions.reduce((total, tx) => total + this.getTransactionSize(tx), 0);
+    if (blockSize > this.maxBlockSize) {
+      return { valid: false, reason: `Block transactions are ${blockSize} bytes, limit is ${this.maxBlockSize}` };
+    }
+
+    if (this.hasDuplicateTransactions(block)) {
+      return { valid: false, reason: 'Block contains duplicate transactions' };
+    }
+    if (block.merkleRoot !== this.calculateMerkleRoot(block.transactions)) {
+      return { valid: false, reason: 'Merkle root does not match transactions' };
     }
 
-    return validChain;
+    const blockHash = this.hashBlock(prevBlock.hash, this.getBlockHeaderData(block), block.nonce);
+    if (blockHash !== block.hash) {
+      return { valid: false, reason: 'Block hash does not match header' };
+    }
+
+    const expectedTarget = this.getNextTarget(chain, parentPosition);
+    if (block.target !== expectedTarget) {
+      return { valid: false, reason: `Expected target ${expectedTarget}, got ${block.target}` };
+    }
+    if (!Retarget.meetsTarget(blockHash, expectedTarget)) {
+      return { valid: false, reason: 'Block hash does not meet proof-of-work target' };
+    }
+
+    const transactionsResult = this.validateBlockTransactions(block, state);
+    if (!transactionsResult.valid) {
+      return transactionsResult;
+    }
+
+    let execution;
+    try {
+      execution = await this.contractSystem.executeBlock(block, state.contracts.records, state.contracts.stateRoot);
+    } catch (error) {
+      return { valid: false, fault: true, reason: `Contract call could not be run on this node: ${error.message}` };
+    }
+    if (block.contractStateRoot !== execution.stateRoot) {
+      return { valid: false, reason: `Contract state root ${block.contractStateRoot} does not match ${execution.stateRoot} after executing the block` };
+    }
+    state.contracts = { records: execution.records, stateRoot: execution.stateRoot };
+
+    return { valid: true, execution };
+  }
+
+  // The Merkle tree pairs an odd node with itself, so repeating a block's last
+  // transactions keeps its root and hash (CVE-2012-2459). Such a block is invalid
+  // only because of the repeat, so it is caught by ID (computed from each payload,
+  // as Merkle leaves are) before the root is compared.
+  hasDuplicateTransactions(block) {
+    const transactionIds = new Set(block.transactions.map(tx => this.computeTransactionId(tx)));
+    return transactionIds.size !== block.transactions.length;
+  }
+
+  // Median timestamp of the medianTimeSpan blocks ending at chain[parentPosition].
+  // Genesis timestamps are node-local, so genesis is left out; 0 when only genesis exists.
+  getMedianTimePast(chain, parentPosition = chain.length - 1) {
+    const first = Math.max(1, parentPosition - this.medianTimeSpan + 1);
+    const timestamps = chain.slice(first, parentPosition + 1).map(block => block.timestamp).sort((a, b) => a - b);
+    return timestamps.length > 0 ? timestamps[Math.floor(timestamps.length / 2)] : 0;
+  }
+
+  // State used by block validation. On top of our own tip this is an overlay of
+  // the chainstate; any other chain is replayed from genesis.
+  createValidationState(chain) {
+    if (chain === this.chain) {
+      return this.chainState.createValidationState();
+    }
+
+    const state = {
+      balances: new Map(),
+      accountNonces: new Map(),
+      transactionIds: new Set()
+    };
+    chain.forEach(block => {
+      block.transactions.forEach(tx => this.applyTransactionToState(tx, state));
+    });
+    return state;
+  }
+
+  applyTransactionToState(tx, state) {
+    state.transactionIds.add(tx.transactionId);
+    state.balances.set(tx.recipient, (state.balances.get(tx.recipient) || 0) + tx.amount);
+
+    if (tx.sender !== '00') {
+      state.balances.set(tx.sender, (state.balances.get(tx.sender) || 0) - tx.amount - (tx.fee || 0));
+    }
+    if (typeof tx.nonce === 'number') {
+      state.accountNonces.set(tx.sender, tx.nonce);
+    }
   }
 
   isValidGenesisBlock(block) {
@@ -762,55 +1540,173 @@ class Blockchain {
 
   isValidBlockStructure(block) {
     return typeof block.index === 'number' &&
-           typeof block.timestamp === 'number' &&
+           Number.isInteger(block.timestamp) &&
            Array.isArray(block.transactions) &&
+           typeof block.merkleRoot === 'string' &&
+           typeof block.contractStateRoot === 'string' &&
            typeof block.nonce === 'number' &&
            typeof block.hash === 'string' &&
            typeof block.previousBlockHash === 'string';
   }
 
-  validateBlockTransactions(block) {
-    const transactionIds = new Set();
+  // Checks every transaction against state (see validateBlock) and applies it.
+  // Apart from the coinbase outputs, every transaction must be a signed transfer
+  // from a funded account - there are no privileged senders.
+  validateBlockTransactions(block, state = this.createValidationState(this.chain)) {
+    const coinbaseTransactions = block.transactions.filter(tx => tx.sender === '00');
+    if (coinbaseTransactions.length === 0 || coinbaseTransactions.length > this.maxCoinbaseOutputs) {
+      return { valid: false, reason: `Block must contain 1 to ${this.maxCoinbaseOutputs} coinbase transactions, found ${coinbaseTransactions.length}` };
+    }
+
     let totalFees = 0;
 
     for (const tx of block.transactions) {
-      if (transactionIds.has(tx.transactionId)) {
-        return false;
+      if (state.transactionIds.has(tx.transactionId)) {
+        return { valid: false, reason: `Duplicate transaction ${tx.transactionId}` };
       }
-      transactionIds.add(tx.transactionId);
 
-      // Skip detailed validation for special transaction types (mining rewards, faucet, ecosystem)
-      if (tx.sender === '00' || tx.sender === 'FAUCET' || tx.sender === 'ECOSYSTEM') {
-        // Basic structure validation only
-        if (!tx.amount || tx.amount <= 0 || !tx.recipient || !this.isValidAddress(tx.recipient)) {
-          return false;
+      if (tx.sender === '00') {
+        // Coinbase amount is checked once all fees are known
+        // Zero is allowed once the supply cap is reached and the block has no fees
+        if (typeof tx.amount !== 'number' || tx.amount < 0 || tx.fee !== 0 || !this.isValidAddress(tx.recipient) || tx.recipient === '00') {
+          return { valid: false, reason: `Malformed coinbase transaction ${tx.transactionId}` };
+        }
+        if (tx.nonce !== block.index || tx.transactionId !== this.computeTransactionId(tx)) {
+          return { valid: false, reason: `Coinbase transaction ${tx.transactionId} must have the block height as nonce and the ID of its payload` };
         }
       } else {
         // Full validation for regular transactions
         if (!this.isValidTransactionStructure(tx)) {
-          return false;
+          return { valid: false, reason: `Invalid or unsigned transaction ${tx.transactionId}` };
         }
+
+        // Reject replays across blocks and networks
+        if (tx.chainId !== this.chainId) {
+          return { valid: false, reason: `Transaction ${tx.transactionId} belongs to chain ${tx.chainId}` };
+        }
+        const expectedNonce = (state.accountNonces.get(tx.sender) || 0) + 1;
+        if (tx.nonce !== expectedNonce) {
+          return { valid: false, reason: `Transaction ${tx.transactionId} has nonce ${tx.nonce}, expected ${expectedNonce}` };
+        }
+        if (ContractSystem.isContractTransaction(tx)) {
+          const reason = this.contractSystem.validateTransaction(tx);
+          if (reason) {
+            return { valid: false, reason: `Transaction ${tx.transactionId}: ${reason}` };
+          }
+        }
+
+        const minimumFee = this.getMinimumFee(ContractSystem.getGasLimit(tx));
+        if (!this.isValidFee(tx.fee, minimumFee)) {
+          return { valid: false, reason: `Transaction ${tx.transactionId} pays fee ${tx.fee}; fees must be at least ${minimumFee} in whole units of 0.00000001` };
+        }
+
+        const available = state.balances.get(tx.sender) || 0;
+        if (available < tx.amount + tx.fee) {
+          return { valid: false, reason: `Transaction ${tx.transactionId} overspends ${tx.sender}` };
+        }
+
+        totalFees += tx.fee;
       }
 
-      totalFees += tx.fee || 0;
+      this.applyTransactionToState(tx, state);
     }
 
-    // Validate total fees match block header
-    if (block.totalFees !== undefined && block.totalFees !== totalFees) {
-      return false;
+    // The coinbase outputs together collect the scheduled subsidy for this height plus every fee in the block
+    const expectedCoinbase = this.calculateCoinbaseAmount(totalFees, block.index);
+    const coinbaseAmount = this.getCoinbaseAmount(block);
+    if (coinbaseAmount !== expectedCoinbase) {
+      return { valid: false, reason: `Coinbase pays ${coinbaseAmount}, expected ${expectedCoinbase}` };
     }
 
-    return true;
+    // totalFees is required and must be the fees summed in block order (as sumTransactionFees does)
+    if (block.totalFees !== totalFees) {
+      return { valid: false, reason: 'Block totalFees does not match its transactions' };
+    }
+
+    return { valid: true };
+  }
+
+  // Subsidy plus fees; rounded so nodes agree despite floating point summation
+  calculateCoinbaseAmount(totalFees, height) {
+    return Number((this.emission.getBlockSubsidy(height) + totalFees).toFixed(8));
+  }
+
+  // Total paid by a block's coinbase outputs
+  getCoinbaseAmount(block) {
+    const total = block.transactions
+      .filter(tx => tx.sender === '00')
+      .reduce((sum, tx) => sum + tx.amount, 0);
+    return Number(total.toFixed(8));
+  }
+
+  // Subsidy for the block at height (genesis is height 1)
+  getBlockSubsidy(height = this.getLastBlock().index + 1) {
+    return this.emission.getBlockSubsidy(height);
+  }
+
+  sumTransactionFees(transactions) {
+    return transactions
+      .filter(tx => tx.sender !== '00')
+      .reduce((total, tx) => total + (tx.fee || 0), 0);
+  }
+
+  // Coinbase for the block at height, by default the next one on our tip
+  createCoinbaseTransaction(recipient, blockTransactions, height = this.getLastBlock().index + 1) {
+    return this.createCoinbaseTransactions([{ address: recipient, percent: 100 }], blockTransactions, height)[0];
+  }
+
+  // One coinbase output per payout { address, percent }. Shares are rounded down to
+  // 1e-8 EKH and the remainder goes to the first payout, so the outputs add up exactly.
+  // The nonce is the block height, and the ID is computed like a signed transaction's
+  // so the Merkle root commits to it.
+  createCoinbaseTransactions(payouts, blockTransactions, height = this.getLastBlock().index + 1) {
+    const totalUnits = Math.round(this.calculateCoinbaseAmount(this.sumTransactionFees(blockTransactions), height) * 1e8);
+    const units = payouts.map(payout => Math.floor(totalUnits * payout.percent / 100));
+    units[0] += totalUnits - units.reduce((total, share) => total + share, 0);
+
+    const timestamp = Date.now();
+    return payouts
+      .map((payout, i) => {
+        const tx = {
+          amount: units[i] / 1e8,
+          sender: '00',
+          recipient: payout.address,
+          fee: 0,
+          nonce: height,
+          timestamp,
+          network: this.networkName,
+          chainId: this.chainId
+        };
+        tx.transactionId = this.computeTransactionId(tx);
+        return tx;
+      })
+      .filter((tx, i) => i === 0 || tx.amount > 0);
+  }
+
+  // Fees are a whole number of 0.00000001 units, at least minimum
+  isValidFee(fee, minimum) {
+    return typeof fee === 'number' && Number.isFinite(fee) && Number(fee.toFixed(8)) === fee && fee >= minimum;
+  }
+
+  // The lowest fee a transaction reserving gasLimit gas may pay
+  getMinimumFee(gasLimit = 0) {
+    return Number((this.minTransactionFee + gasLimit * this.gasPrice).toFixed(8));
+  }
+
+  // Transfers move a positive amount; contract deployments and calls may carry no value
+  isValidTransactionAmount(tx) {
+    return tx.amount > 0 || (tx.amount === 0 && ContractSystem.isContractTransaction(tx));
   }
 
   isValidTransactionStructure(tx) {
-    return tx.amount > 0 &&
+    return this.isValidTransactionAmount(tx) &&
            tx.sender && tx.recipient &&
            tx.sender !== tx.recipient &&
            this.isValidAddress(tx.sender) &&
-           this.isValidAddress(tx.recipient) &&
+           (ContractSystem.isContractTransaction(tx) || this.isValidAddress(tx.recipient)) &&
            typeof tx.amount === 'number' &&
-           typeof tx.fee === 'number';
+           typeof tx.fee === 'number' &&
+           this.verifyTransactionSignature(tx);
   }
 
   async resolveConflicts(blockchains) {
@@ -822,9 +1718,9 @@ class Blockchain {
     candidateChains.push({
       chain: this.chain,
       source: 'local',
-      work: this.calculateChainWork(this.chain),
-      length: this.chain.length,
-      isValid: true
+      work: this.forkChoice.getActiveWork(),
+      hash: this.getLastBlock().hash,
+      length: this.chain.length
     });
 
     // Evaluate all remote chains
@@ -835,8 +1731,14 @@ class Blockchain {
       }
 
       const chainLength = blockchain.chain.length;
-      const chainWork = this.calculateChainWork(blockchain.chain);
-      const isValid = this.chainIsValid(blockchain.chain);
+      let isValid;
+      try {
+        isValid = await this.chainIsValid(blockchain.chain);
+      } catch (error) {
+        console.log(`⚠️ Remote chain from ${blockchain.source || 'unknown'} not checked: ${error.message}`);
+        continue;
+      }
+      const chainWork = isValid ? this.forkChoice.chainWork(blockchain.chain) : 0n;
 
       console.log(`📊 Remote chain: ${chainLength} blocks, work: ${chainWork}, valid: ${isValid}`);
 
@@ -845,85 +1747,42 @@ class Blockchain {
           chain: blockchain.chain,
           source: blockchain.source || 'unknown',
           work: chainWork,
+          hash: blockchain.chain[chainLength - 1].hash,
           length: chainLength,
-          pendingTransactions: blockchain.pendingTransactions,
-          isValid: true
+          pendingTransactions: blockchain.pendingTransactions
         });
       }
     }
 
-    // Enhanced consensus: Consider both length and cumulative work
-    const bestChain = this.selectBestChainByConsensus(candidateChains);
+    // Most cumulative work wins, regardless of length
+    const bestChain = this.forkChoice.selectBest(candidateChains);
 
     if (bestChain.source !== 'local') {
-      console.log(`🔄 Replacing chain: ${this.chain.length} -> ${bestChain.length} blocks from ${bestChain.source}`);
-
-      // Check for potential fork
-      const forkPoint = this.findForkPoint(this.chain, bestChain.chain);
-      if (forkPoint > 0) {
-        console.log(`🍴 Fork detected at block ${forkPoint}, resolving...`);
-        await this.handleFork(forkPoint, bestChain);
+      // A chain that builds on our tip is connected block by block
+      const connected = await this.extendChain(bestChain.chain, bestChain.source);
+      if (connected > 0) {
+        console.log(`✅ Connected ${connected} blocks from ${bestChain.source}`);
+        await this.broadcastConsensusUpdate(bestChain);
+        return true;
       }
 
-      // Create backup
-      const oldChain = [...this.chain];
-      const oldPending = [...this.pendingTransactions];
-
-      try {
-        this.chain = [...bestChain.chain];
-        this.pendingTransactions = this.mergeTransactionPools(
-          bestChain.pendingTransactions || [],
-          oldPending
-        );
-        await this.saveToDatabase();
-
-        console.log(`✅ Chain replaced successfully!`);
+      // Otherwise switch branches at the fork point
+      const forkPoint = this.findForkPoint(this.chain, bestChain.chain);
+      console.log(`🍴 Fork detected at block ${forkPoint}, reorganizing to ${bestChain.source}...`);
+      const result = await this.reorganize(forkPoint, bestChain.chain.slice(forkPoint), bestChain.source);
 
+      if (result.reorganized) {
         // Notify network of consensus change
         await this.broadcastConsensusUpdate(bestChain);
-
         return true;
-      } catch (error) {
-        console.error(`❌ Failed to replace chain:`, error);
-        // Restore backup
-        this.chain = oldChain;
-        this.pendingTransactions = oldPending;
-        return false;
       }
+      return false;
     }
 
     console.log(`✅ Local chain is already the best`);
     return false;
   }
 
-  selectBestChainByConsensus(candidateChains) {
-    if (candidateChains.length === 0) return null;
-
-    // Sort by multiple criteria:
-    // 1. Validity (must be valid)
-    // 2. Length (longer is better)
-    // 3. Cumulative work (more work is better)
-    // 4. Most recent block timestamp
-    return candidateChains
-      .filter(chain => chain.isValid)
-      .sort((a, b) => {
-        // Primary: chain length
-        if (a.length !== b.length) {
-          return b.length - a.length;
-        }
-
-        // Secondary: cumulative work
-        if (a.work !== b.work) {
-          return b.work - a.work;
-        }
-
-        // Tertiary: most recent block timestamp
-        const aLastBlock = a.chain[a.chain.length - 1];
-        const bLastBlock = b.chain[b.chain.length - 1];
-        return (bLastBlock?.timestamp || 0) - (aLastBlock?.timestamp || 0);
-      })[0];
-  }
-
   findForkPoint(chainA, chainB) {
     const minLength = Math.min(chainA.length, chainB.length);
 
@@ -936,58 +1795,6 @@ class Blockchain {
     return minLength;
   }
 
-  async handleFork(forkPoint, newChain) {
-    console.log(`🍴 Handling fork at block ${forkPoint}`);
-
-    // Extract transactions from discarded blocks
-    const discardedTransactions = [];
-
-    for (let i = forkPoint; i < this.chain.length; i++) {
-      const block = this.chain[i];
-      block.transactions.forEach(tx => {
-        // Don't re-add mining rewards or special transactions
-        if (tx.sender !== '00' && tx.sender !== 'FAUCET' && tx.sender !== 'ECOSYSTEM') {
-          discardedTransactions.push(tx);
-        }
-      });
-    }
-
-    // Re-add valid discarded transactions to pending pool
-    for (const tx of discardedTransactions) {
-      try {
-        // Validate transaction is still valid
-        if (this.isValidTransaction(tx.amount, tx.sender, tx.recipient, tx.fee)) {
-          // Check if transaction doesn't exist in new chain
-          const existsInNewChain = newChain.chain.some(block =>
-            block.transactions.some(btx => btx.transactionId === tx.transactionId)
-          );
-
-          if (!existsInNewChain) {
-            this.pendingTransactions.push(tx);
-          }
-        }
-      } catch (error) {
-        console.log(`Transaction ${tx.transactionId} invalid after fork: ${error.message}`);
-      }
-    }
-
-    console.log(`🔄 Re-added ${discardedTransactions.length} transactions to pending pool after fork resolution`);
-  }
-
-  mergeTransactionPools(remotePending, localPending) {
-    const merged = [...(remotePending || [])];
-    const remoteIds = new Set(merged.map(tx => tx.transactionId));
-
-    // Add local transactions not in remote pool
-    for (const tx of localPending || []) {
-      if (tx.transactionId && !remoteIds.has(tx.transactionId)) {
-        merged.push(tx);
-      }
-    }
-
-    return merged;
-  }
-
   async broadcastConsensusUpdate(newChain) {
     if (this.networkNodes.length === 0) return;
 
@@ -1023,61 +1830,17 @@ class Blockchain {
     }
   }
 
-  calculateChainWork(chain) {
-    return chain.reduce((total, block) => {
-      const difficulty = block.difficulty || 1;
-      return total + Math.pow(2, difficulty);
-    }, 0);
-  }
-
   getBlock(blockhash) {
-    let correctBlock = null;
-    this.chain.forEach(block => {
-      if (block.hash === blockhash) correctBlock = block;
-    });
-    return correctBlock;
+    return this.chainIndex.getBlockByHash(blockhash);
   }
 
   getTransaction(transactionId) {
-    let correctTransaction = null;
-    let correctBlock = null;
-    this.chain.forEach(block => {
-      block.transactions.forEach(transaction => {
-        if (transaction.transactionId === transactionId) {
-          correctTransaction = transaction;
-          correctBlock = block;
-        }
-      });
-    });
-    return { transaction: correctTransaction, block: correctBlock };
+    return this.chainIndex.getTransaction(transactionId);
   }
 
   getAddressData(address) {
-    const addressTransactions = [];
-    this.chain.forEach(block => {
-      block.transactions.forEach(transaction => {
-        if (transaction.sender === address || transaction.recipient === address) {
-          addressTransactions.push(transaction);
-        }
-      });
-    });
-
-    let balance = 0;
-    let totalSent = 0;
-    let totalReceived = 0;
-    let totalFees = 0;
-
-    addressTransactions.forEach(transaction => {
-      if (transaction.recipient === address) {
-        balance += transaction.amount;
-        totalReceived += transaction.amount;
-      } else if (transaction.sender === address) {
-        balance -= transaction.amount;
-        balance -= (transaction.fee || 0);
-        totalSent += transaction.amount;
-        totalFees += (transaction.fee || 0);
-      }
-    });
+    const addressTransactions = this.chainIndex.getAddressTransactions(address);
+    const { balance, totalSent, totalReceived, totalFees, nonce } = this.chainIndex.getAddressSummary(address);
 
     return {
       addressTransactions,
@@ -1085,6 +1848,7 @@ class Blockchain {
       totalSent,
       totalReceived,
       totalFees,
+      nonce,
       transactionCount: addressTransactions.length
     };
   }
@@ -1107,72 +1871,22 @@ class Blockchain {
     }
   }
 
-  // Auto-mining functionality
-  startAutoMining() {
-    if (this.autoMining) {
-      console.log('⚠️ Auto-mining is already active');
-      return;
-    }
-
-    console.log('🚀 Starting auto-mining...');
-    this.autoMining = true;
-
-    this.miningInterval = setInterval(async () => {
-      if (this.pendingTransactions.length > 0) {
-        console.log(`⛏️ Auto-mining block with ${this.pendingTransactions.length} transactions...`);
-        try {
-          await this.autoMine();
-        } catch (error) {
-          console.error('❌ Auto-mining failed:', error.message);
-        }
-      }
-    }, 10000); // Mine every 10 seconds if transactions are pending
-  }
+  getStats() {
+    // Coinbase payouts include recycled fees; only the block reward part is new supply
+    const totals = this.chainIndex.getTotals();
+    const miningRewards = totals.coinbasePayouts - totals.fees;
 
-  stopAutoMining() {
-    if (!this.autoMining) {
-      console.log('⚠️ Auto-mining is already stopped');
-      return;
-    }
+    // Faucet and ecosystem payouts are ordinary transfers from their funded accounts
+    const faucetDistribution = this.faucetWallet ? this.chainIndex.getAddressSummary(this.faucetWallet.address).totalSent : 0;
+    const ecosystemDistribution = this.ecosystemWallet ? this.chainIndex.getAddressSummary(this.ecosystemWallet.address).totalSent : 0;
 
-    console.log('🛑 Stopping auto-mining...');
-    this.autoMining = false;
-
-    if (this.miningInterval) {
-      clearInterval(this.miningInterval);
-      this.miningInterval = null;
-    }
-  }
-
-  getStats() {
-    // Calculate total supply from mining rewards only
-    const miningRewards = this.chain.reduce((total, block) => {
-      return total + block.transactions.reduce((blockTotal, tx) => {
-        return tx.sender === '00' ? blockTotal + tx.amount : blockTotal;
-      }, 0);
-    }, 0);
-
-    // Calculate faucet distribution
-    const faucetDistribution = this.chain.reduce((total, block) => {
-      return total + block.transactions.reduce((blockTotal, tx) => {
-        return tx.sender === 'FAUCET' ? blockTotal + tx.amount : blockTotal;
-      }, 0);
-    }, 0);
-
-    // Calculate ecosystem rewards
-    const ecosystemDistribution = this.chain.reduce((total, block) => {
-      return total + block.transactions.reduce((blockTotal, tx) => {
-        return tx.sender === 'ECOSYSTEM' ? blockTotal + tx.amount : blockTotal;
-      }, 0);
-    }, 0);
-
-    // Total supply = mining rewards + faucet distribution + ecosystem rewards
-    const totalSupply = miningRewards + faucetDistribution + ecosystemDistribution;
+    // All supply is minted by block rewards
+    const totalSupply = miningRewards;
 
     // Calculate circulating supply (excludes locked/inactive addresses)
     const circulatingSupply = this.calculateCirculatingSupply();
 
-    const totalTransactions = this.chain.reduce((total, block) => total + block.transactions.length, 0);
+    const totalTransactions = totals.transactions;
 
     return {
       networkName: this.networkName,
@@ -1187,40 +1901,24 @@ class Blockchain {
       circulatingSupply,
       miningRewards,
       faucetDistribution,
-      miningReward: this.miningReward,
+      ecosystemDistribution,
+      miningReward: this.getBlockSubsidy(),
+      emission: this.emission.getSummary(this.getLastBlock().index + 1),
       autoMining: this.autoMining,
       isMining: this.isMining,
       minerAddress: this.minerAddress,
+      minerPayouts: this.minerPayouts,
       averageBlockTime: this.getAverageBlockTime(),
       inflationRate: this.calculateInflationRate(totalSupply)
     };
   }
 
   calculateCirculatingSupply() {
-    // Get all unique addresses and their balances
-    const addressBalances = new Map();
-
-    this.chain.forEach(block => {
-      block.transactions.forEach(tx => {
-        // Add to recipient
-        if (tx.recipient !== '00') {
-          const currentBalance = addressBalances.get(tx.recipient) || 0;
-          addressBalances.set(tx.recipient, currentBalance + tx.amount);
-        }
-
-        // Subtract from sender (except mining and faucet)
-        if (tx.sender !== '00' && tx.sender !== 'FAUCET') {
-          const currentBalance = addressBalances.get(tx.sender) || 0;
-          addressBalances.set(tx.sender, currentBalance - tx.amount - (tx.fee || 0));
-        }
-      });
-    });
-
     // Calculate circulating supply (addresses with recent activity)
     let circulatingSupply = 0;
     const thirtyDaysAgo = Date.now() - (30 * 24 * 60 * 60 * 1000);
 
-    for (const [address, balance] of addressBalances) {
+    for (const { address, balance } of this.chainIndex.getAddressSummaries()) {
       if (balance > 0) {
         // Check if address has been active in last 30 days
         const isActive = this.isAddressActiveRecently(address, thirtyDaysAgo);
@@ -1235,26 +1933,18 @@ class Blockchain {
 
   isAddressActiveRecently(address, since) {
     // Check if address has transactions since given timestamp
-    for (let i = this.chain.length - 1; i >= 0; i--) {
-      const block = this.chain[i];
-      if (block.timestamp < since) break;
-
-      for (const tx of block.transactions) {
-        if (tx.sender === address || tx.recipient === address) {
-          return true;
-        }
-      }
-    }
-    return false;
+    return this.chainIndex.getAddressSummary(address).lastActivity >= since;
   }
 
   calculateInflationRate(totalSupply) {
     if (totalSupply === 0) return 0;
 
-    // Calculate annual inflation based on current mining rate
+    // Subsidy the schedule pays over the next year at the current block rate,
+    // including any halvings and the supply cap along the way
     const avgBlockTime = this.getAverageBlockTime() || this.targetBlockTime;
-    const blocksPerYear = (365 * 24 * 60 * 60 * 1000) / avgBlockTime;
-    const annualMiningRewards = blocksPerYear * this.miningReward;
+    const blocksPerYear = Math.round((365 * 24 * 60 * 60 * 1000) / avgBlockTime);
+    const nextHeight = this.getLastBlock().index + 1;
+    const annualMiningRewards = this.emission.getIssuedSupply(nextHeight + blocksPerYear) - this.emission.getIssuedSupply(nextHeight);
 
     return (annualMiningRewards / totalSupply) * 100;
   }
@@ -1272,28 +1962,34 @@ class Blockchain {
     return Math.round(totalTime / (recentBlocks.length - 1));
   }
 
-  adjustDifficulty() {
-    if (this.chain.length < 2) return;
-
-    const lastBlock = this.getLastBlock();
-    const secondLastBlock = this.chain[this.chain.length - 2];
-    const timeDiff = lastBlock.timestamp - secondLastBlock.timestamp;
+  // Target for the block after chain[parentPosition], derived only from chain
+  // history so every node expects the same value (see retarget.js)
+  getNextTarget(chain, parentPosition = chain.length - 1) {
+    return this.retarget.getNextTarget(chain, parentPosition);
+  }
 
-    if (timeDiff < this.targetBlockTime / 2) {
-      this.difficulty++;
-      console.log(`Difficulty increased to ${this.difficulty}`);
-    } else if (timeDiff > this.targetBlockTime * 2) {
-      this.difficulty = Math.max(1, this.difficulty - 1);
-      console.log(`Difficulty decreased to ${this.difficulty}`);
+  adjustDifficulty() {
+    const nextTarget = this.getNextTarget(this.chain);
+    const nextDifficulty = Retarget.targetToDifficulty(nextTarget);
+    if (nextDifficulty > this.difficulty) {
+      console.log(`Difficulty increased to ${nextDifficulty}`);
+    } else if (nextDifficulty < this.difficulty) {
+      console.log(`Difficulty decreased to ${nextDifficulty}`);
     }
+    this.target = nextTarget;
+    this.difficulty = nextDifficulty;
   }
 
   // Utility methods for wallet functionality
   createWallet() {
-    const privateKey = crypto.randomBytes(32).toString('hex');
-    const address = this.generateWalletAddressFromPrivateKey(privateKey);
+    const ecdh = crypto.createECDH('secp256k1');
+    ecdh.generateKeys();
+    const privateKey = ecdh.getPrivateKey('hex').padStart(64, '0');
+    const publicKey = ecdh.getPublicKey('hex', 'compressed');
+    const address = this.generateWalletAddressFromPublicKey(publicKey);
     return {
       address,
+      publicKey,
       privateKey,
       balance: 0,
       network: this.networkName,
@@ -1301,23 +1997,119 @@ class Blockchain {
     };
   }
 
-  generateWalletAddressFromPrivateKey(privateKey) {
-    const keyHash = crypto.createHash('sha256').update(privateKey, 'hex').digest();
-    const publicKey = keyHash.slice(0, 20);
-    const checksum = crypto.createHash('sha256').update(publicKey).digest().slice(0, 4);
-    const addressBytes = Buffer.concat([publicKey, checksum]);
+  // Derive the compressed secp256k1 public key for a hex private key
+  getPublicKeyFromPrivateKey(privateKey) {
+    if (typeof privateKey !== 'string' || !/^[0-9a-fA-F]{64}$/.test(privateKey)) {
+      throw new Error('Invalid private key format');
+    }
+    const ecdh = crypto.createECDH('secp256k1');
+    ecdh.setPrivateKey(Buffer.from(privateKey, 'hex'));
+    return ecdh.getPublicKey('hex', 'compressed');
+  }
+
+  generateWalletAddressFromPublicKey(publicKey) {
+    const keyHash = crypto.createHash('sha256').update(Buffer.from(publicKey, 'hex')).digest();
+    const payload = keyHash.slice(0, 20);
+    const checksum = crypto.createHash('sha256').update(payload).digest().slice(0, 4);
+    const addressBytes = Buffer.concat([payload, checksum]);
     return 'EKH' + addressBytes.toString('hex').toUpperCase();
   }
 
+  generateWalletAddressFromPrivateKey(privateKey) {
+    return this.generateWalletAddressFromPublicKey(this.getPublicKeyFromPrivateKey(privateKey));
+  }
+
+  // Node's crypto only imports raw EC keys through JWK coordinates
+  getPublicKeyJwk(publicKey) {
+    const uncompressed = crypto.ECDH.convertKey(publicKey, 'secp256k1', 'hex', 'buffer', 'uncompressed');
+    return {
+      kty: 'EC',
+      crv: 'secp256k1',
+      x: uncompressed.slice(1, 33).toString('base64url'),
+      y: uncompressed.slice(33).toString('base64url')
+    };
+  }
+
+  // Canonical serialization covered by the signature (field order is fixed)
+  getTransactionSigningPayload(transaction) {
+    return JSON.stringify([
+      transaction.chainId,
+      transaction.sender,
+      transaction.recipient,
+      transaction.amount,
+      transaction.fee,
+      transaction.nonce,
+      transaction.timestamp,
+      transaction.network,
+      transaction.publicKey,
+      transaction.data ?? null
+    ]);
+  }
+
+  // Transaction IDs of signed transactions commit to the signed payload
+  computeTransactionId(transaction) {
+    return sha256(this.getTransactionSigningPayload(transaction));
+  }
+
+  signTransaction(transaction, privateKey) {
+    const publicKey = this.getPublicKeyFromPrivateKey(privateKey);
+    if (this.generateWalletAddressFromPublicKey(publicKey) !== transaction.sender) {
+      throw new Error('Private key does not match sender address');
+    }
+
+    transaction.publicKey = publicKey;
+    transaction.transactionId = this.computeTransactionId(transaction);
+
+    const signingKey = crypto.createPrivateKey({
+      key: {
+        ...this.getPublicKeyJwk(publicKey),
+        d: Buffer.from(privateKey, 'hex').toString('base64url')
+      },
+      format: 'jwk'
+    });
+
+    transaction.signature = crypto
+      .sign('sha256', Buffer.from(this.getTransactionSigningPayload(transaction)), signingKey)
+      .toString('hex');
+    return transaction;
+  }
+
+  verifyTransactionSignature(transaction) {
+    const { publicKey, signature } = transaction;
+    if (typeof publicKey !== 'string' || typeof signature !== 'string') return false;
+
+    try {
+      // The public key must hash to the address being spent from
+      if (this.generateWalletAddressFromPublicKey(publicKey) !== transaction.sender) return false;
+      if (transaction.transactionId !== this.computeTransactionId(transaction)) return false;
+
+      const verifyKey = crypto.createPublicKey({
+        key: this.getPublicKeyJwk(publicKey),
+        format: 'jwk'
+      });
+
+      return crypto.verify(
+        'sha256',
+        Buffer.from(this.getTransactionSigningPayload(transaction)),
+        verifyKey,
+        Buffer.from(signature, 'hex')
+      );
+    } catch (error) {
+      return false;
+    }
+  }
+
   recoverWalletFromPrivateKey(privateKey) {
     try {
       if (!privateKey || privateKey.length !== 64) {
         throw new Error('Invalid private key format');
       }
-      const address = this.generateWalletAddressFromPrivateKey(privateKey);
+      const publicKey = this.getPublicKeyFromPrivateKey(privateKey);
+      const address = this.generateWalletAddressFromPublicKey(publicKey);
       const addressData = this.getAddressData(address);
       return {
         address,
+        publicKey,
         privateKey,
         balance: addressData.addressBalance,
         network: this.networkName,
@@ -1331,14 +2123,25 @@ class Blockchain {
   getNetworkInfo() {
     return {
       name: this.networkName,
+      chainId: this.chainId,
       token: {
         name: this.tokenName,
         symbol: this.tokenSymbol
       },
       version: '1.0.0',
       difficulty: this.difficulty,
+      target: this.target,
       blockTime: this.targetBlockTime,
-      miningReward: this.miningReward
+      miningReward: this.getBlockSubsidy(),
+      fees: {
+        minimum: this.minTransactionFee,
+        gasPrice: this.gasPrice,
+        defaultGasLimit: this.contractSystem.sandbox.defaultGasLimit
+      },
+      emission: this.emission.getSummary(this.getLastBlock().index + 1),
+      faucetAddress: this.faucetWallet?.address,
+      ecosystemAddress: this.ecosystemWallet?.address,
+      poolAddress: this.poolWallet?.address
     };
   }
 
@@ -1347,29 +2150,16 @@ class Blockchain {
     const currentTime = Date.now();
     const uptime = currentTime - this.nodeMetrics.uptime;
 
-    // Calculate hash rate based on recent mining activity
-    let hashRate = 0;
-    if (this.chain.length > 1) {
-      const recentBlocks = this.chain.slice(-5);
-      let totalNonces = 0;
-      let totalTime = 0;
-
-      for (let i = 1; i < recentBlocks.length; i++) {
-        totalNonces += recentBlocks[i].nonce;
-        totalTime += recentBlocks[i].timestamp - recentBlocks[i-1].timestamp;
-      }
-
-      if (totalTime > 0) {
-        hashRate = (totalNonces / (totalTime / 1000)); // Hashes per second
-      }
-    }
+    // Hash rate measured by the worker-thread miner during the latest nonce search
+    const hashRate = this.nodeMetrics.hashRate;
 
     return {
       uptime,
       blocksProcessed: this.chain.length - 1, // Exclude genesis
-      transactionsProcessed: this.chain.reduce((total, block) => total + block.transactions.length, 0),
+      transactionsProcessed: this.chainIndex.getTotals().transactions,
       peersConnected: this.networkNodes.length,
       hashRate,
+      miningWorkers: this.miningWorkerCount,
       memoryUsage: process.memoryUsage(),
       nodeStatus: this.nodeStatus,
       lastBlockTime: this.chain.length > 0 ? this.getLastBlock().timestamp : null
@@ -1476,13 +2266,27 @@ class Blockchain {
     }
   }
 
-  // Contract system delegate methods
-  deployContract(code, creator, initialData = {}) {
-    return this.contractSystem.deployContract(code, creator, initialData);
+  // Contract system delegate methods. Deployments and calls are submitted to the
+  // mempool as signed transactions and take effect once mined (see getContractReceipt).
+  async deployContract(code, creator, privateKey, initialData = {}, fee) {
+    const { contractId, transaction } = this.contractSystem.createDeployTransaction(code, creator, privateKey, initialData, fee);
+    await this.addTransactionToPendingTransactions(transaction);
+    return { contractId, transaction };
   }
 
-  executeContract(contractId, method, params, caller, value = 0) {
-    return this.contractSystem.executeContract(contractId, method, params, caller, value);
+  async executeContract(contractId, method, params, caller, privateKey, value = 0, gasLimit, fee) {
+    const transaction = this.contractSystem.createExecuteTransaction(contractId, method, params, caller, privateKey, value, gasLimit, fee);
+    await this.addTransactionToPendingTransactions(transaction);
+    return { contractId, transaction };
+  }
+
+  // Read-only call against the contract as of options.height; nothing is submitted
+  async callContract(contractId, method, params, options) {
+    return this.contractSystem.call(contractId, method, params, options);
+  }
+
+  getContractReceipt(transactionId) {
+    return this.contractSystem.getReceipt(transactionId);
   }
 
   getContract(contractId) {
@@ -1498,7 +2302,15 @@ class Blockchain {
   }
 
   getContractTemplates() {
-    return this.contractSystem.getTemplates();
+    return this.contractSystem.templates;
+  }
+
+  getContractStateRoot(height) {
+    return this.contractSystem.getStateRoot(height);
+  }
+
+  getContractStateProof(contractId, height) {
+    return this.contractSystem.getStateProof(contractId, height);
   }
 
   async discoverPeers() {
@@ -1715,7 +2527,10 @@ class Blockchain {
   // Stop all processes
   stopAllProcesses() {
     this.stopAutoMining();
+    this.cancelMining();
     this.stopPeerDiscovery();
+    this.pool.stop();
+    this.contractSystem.sandbox.terminateWorker();
     console.log('All node processes stopped');
   }
 }
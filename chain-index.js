@@ -0,0 +1,271 @@
+// Lookup indexes over the active chain, persisted next to the blocks:
+//   tx:<transactionId>                    -> { height, position }
+//   addr:<address>:<height>:<position>    -> transactionId
+//   blockHeight:<hash>                    -> height
+//   indexTip                              -> { height, hash }
+// The in-memory copy follows blockchain.chain by connecting and disconnecting
+// blocks at the tip, so lookups never scan the whole chain.
+const INDEX_TIP_KEY = 'indexTip';
+const KEY_WIDTH = 12;
+
+const pad = (value) => String(value).padStart(KEY_WIDTH, '0');
+
+export class ChainIndex {
+  constructor(blockchain) {
+    this.blockchain = blockchain;
+    this.reset();
+  }
+
+  reset() {
+    // indexedBlocks[i] describes the block indexed at height i + 1:
+    // { hash, transactionIds, addresses, totals } where totals (including work) are cumulative up to that block
+    this.indexedBlocks = [];
+    this.transactions = new Map(); // transactionId -> { height, position }
+    this.blockHeights = new Map(); // block hash -> height
+    this.addresses = new Map(); // address -> { refs: [{ height, position }], summary }
+  }
+
+  // Level operations that add or remove a block's index entries
+  connectOperations(block, height) {
+    const operations = [{ type: 'put', key: `blockHeight:${block.hash}`, value: height }];
+    block.transactions.forEach((tx, position) => {
+      operations.push({ type: 'put', key: `tx:${tx.transactionId}`, value: { height, position } });
+      for (const address of ChainIndex.transactionAddresses(tx)) {
+        operations.push({ type: 'put', key: `addr:${address}:${pad(height)}:${pad(position)}`, value: tx.transactionId });
+      }
+    });
+    return operations;
+  }
+
+  disconnectOperations(block, height) {
+    return this.connectOperations(block, height).map(({ key }) => ({ type: 'del', key }));
+  }
+
+  tipOperation(chain) {
+    const tip = chain[chain.length - 1];
+    return { type: 'put', key: INDEX_TIP_KEY, value: { height: chain.length, hash: tip.hash } };
+  }
+
+  static transactionAddresses(tx) {
+    if (tx.sender === '00' || tx.sender === tx.recipient) return [tx.recipient];
+    return [tx.sender, tx.recipient];
+  }
+
+  // Load the persisted index for a freshly read chain, rebuilding it when it is
+  // missing or stale (e.g. databases written before indexes existed)
+  async load(chain) {
+    this.reset();
+    const tip = await this.blockchain.chainStore.getOptional(INDEX_TIP_KEY);
+    const chainTip = chain[chain.length - 1];
+
+    if (!tip || !chainTip || tip.height !== chain.length || tip.hash !== chainTip.hash) {
+      console.log('🗂️ Rebuilding chain indexes...');
+      const operations = chain.flatMap((block, i) => this.connectOperations(block, i + 1));
+      if (chainTip) operations.push(this.tipOperation(chain));
+      await this.blockchain.db.batch(operations);
+      this.sync();
+      console.log(`✅ Indexed ${this.getTotals().transactions} transactions in ${chain.length} blocks`);
+      return;
+    }
+
+    const db = this.blockchain.db;
+    for await (const [key, location] of db.iterator({ gt: 'tx:', lt: 'tx;' })) {
+      this.transactions.set(key.slice(3), location);
+    }
+    for await (const [key, height] of db.iterator({ gt: 'blockHeight:', lt: 'blockHeight;' })) {
+      this.blockHeights.set(key.slice(12), height);
+    }
+    for await (const key of db.keys({ gt: 'addr:', lt: 'addr;' })) {
+      const [, address, height, position] = key.split(':');
+      this.getAddressEntry(address).refs.push({ height: Number(height), position: Number(position) });
+    }
+
+    chain.forEach(block => this.indexedBlocks.push(this.describeBlock(block)));
+    for (const [address, entry] of this.addresses) {
+      entry.summary = this.summarize(address, entry.refs);
+    }
+  }
+
+  // Bring the in-memory index in line with blockchain.chain. Blocks only change at
+  // the tip, so matching length and tip hash means nothing needs to be done.
+  sync() {
+    const chain = this.blockchain.chain;
+    const indexedTip = this.indexedBlocks[this.indexedBlocks.length - 1];
+    if (this.indexedBlocks.length === chain.length && indexedTip?.hash === chain[chain.length - 1]?.hash) {
+      return;
+    }
+
+    let forkHeight = Math.min(this.indexedBlocks.length, chain.length);
+    while (forkHeight > 0 && this.indexedBlocks[forkHeight - 1].hash !== chain[forkHeight - 1].hash) {
+      forkHeight--;
+    }
+
+    // Summaries are recomputed once every stale block is gone, because refs to
+    // heights above the fork point no longer match blockchain.chain
+    const touched = new Set();
+    while (this.indexedBlocks.length > forkHeight) {
+      this.disconnectBlock().forEach(address => touched.add(address));
+    }
+    for (const address of touched) {
+      const entry = this.addresses.get(address);
+      if (entry.refs.length === 0) {
+        this.addresses.delete(address);
+      } else {
+        entry.summary = this.summarize(address, entry.refs);
+      }
+    }
+    for (let height = forkHeight + 1; height <= chain.length; height++) {
+      this.connectBlock(chain[height - 1], height);
+    }
+  }
+
+  describeBlock(block) {
+    const previous = this.indexedBlocks[this.indexedBlocks.length - 1]?.totals || ChainIndex.emptyTotals();
+    const totals = {
+      ...previous,
+      transactions: previous.transactions + block.transactions.length,
+      work: previous.work + this.blockchain.forkChoice.blockWork(block)
+    };
+    const addresses = new Set();
+
+    for (const tx of block.transactions) {
+      if (tx.sender === '00') {
+        totals.coinbasePayouts += tx.amount;
+      } else {
+        totals.fees += (tx.fee || 0);
+      }
+      ChainIndex.transactionAddresses(tx).forEach(address => addresses.add(address));
+    }
+
+    return {
+      hash: block.hash,
+      transactionIds: block.transactions.map(tx => tx.transactionId),
+      addresses: Array.from(addresses),
+      totals
+    };
+  }
+
+  connectBlock(block, height) {
+    this.indexedBlocks.push(this.describeBlock(block));
+    this.blockHeights.set(block.hash, height);
+
+    block.transactions.forEach((tx, position) => {
+      this.transactions.set(tx.transactionId, { height, position });
+      for (const address of ChainIndex.transactionAddresses(tx)) {
+        const entry = this.getAddressEntry(address);
+        entry.refs.push({ height, position });
+        this.applyToSummary(entry.summary, address, tx, block.timestamp);
+      }
+    });
+  }
+
+  // Remove the indexed tip and return the addresses whose summaries must be
+  // recomputed (rather than subtracted, so balances don't drift with floating point).
+  // The block is described from our own records because blockchain.chain may
+  // already hold its replacement.
+  disconnectBlock() {
+    const height = this.indexedBlocks.length;
+    const { hash, transactionIds, addresses } = this.indexedBlocks.pop();
+    this.blockHeights.delete(hash);
+    transactionIds.forEach(transactionId => this.transactions.delete(transactionId));
+
+    for (const address of addresses) {
+      const { refs } = this.addresses.get(address);
+      while (refs.length > 0 && refs[refs.length - 1].height === height) {
+        refs.pop();
+      }
+    }
+    return addresses;
+  }
+
+  getAddressEntry(address) {
+    if (!this.addresses.has(address)) {
+      this.addresses.set(address, { refs: [], summary: ChainIndex.emptySummary() });
+    }
+    return this.addresses.get(address);
+  }
+
+  static emptyTotals() {
+    return { transactions: 0, coinbasePayouts: 0, fees: 0, work: 0n };
+  }
+
+  static emptySummary() {
+    return { balance: 0, totalSent: 0, totalReceived: 0, totalFees: 0, nonce: 0, lastActivity: 0 };
+  }
+
+  applyToSummary(summary, address, tx, blockTimestamp) {
+    if (tx.sender === address && typeof tx.nonce === 'number') {
+      summary.nonce = Math.max(summary.nonce, tx.nonce);
+    }
+
+    if (tx.recipient === address) {
+      summary.balance += tx.amount;
+      summary.totalReceived += tx.amount;
+    } else if (tx.sender === address) {
+      summary.balance -= tx.amount;
+      summary.balance -= (tx.fee || 0);
+      summary.totalSent += tx.amount;
+      summary.totalFees += (tx.fee || 0);
+    }
+    summary.lastActivity = Math.max(summary.lastActivity, blockTimestamp);
+  }
+
+  summarize(address, refs) {
+    const summary = ChainIndex.emptySummary();
+    for (const ref of refs) {
+      const block = this.blockchain.chain[ref.height - 1];
+      this.applyToSummary(summary, address, block.transactions[ref.position], block.timestamp);
+    }
+    return summary;
+  }
+
+  getHeight(hash) {
+    this.sync();
+    return this.blockHeights.get(hash);
+  }
+
+  getBlockByHash(hash) {
+    this.sync();
+    const height = this.blockHeights.get(hash);
+    return height === undefined ? null : this.blockchain.chain[height - 1];
+  }
+
+  getTransaction(transactionId) {
+    this.sync();
+    const location = this.transactions.get(transactionId);
+    if (!location) return { transaction: null, block: null };
+
+    const block = this.blockchain.chain[location.height - 1];
+    return { transaction: block.transactions[location.position], block };
+  }
+
+  getAddressTransactions(address) {
+    this.sync();
+    const entry = this.addresses.get(address);
+    if (!entry) return [];
+    return entry.refs.map(ref => this.blockchain.chain[ref.height - 1].transactions[ref.position]);
+  }
+
+  getAddressSummary(address) {
+    this.sync();
+    return this.addresses.get(address)?.summary || ChainIndex.emptySummary();
+  }
+
+  // Every address that has appeared on chain, with its summary
+  getAddressSummaries() {
+    this.sync();
+    return Array.from(this.addresses, ([address, entry]) => ({ address, ...entry.summary }));
+  }
+
+  // Cumulative transaction count, coinbase payouts, fees and proof of work over the active chain
+  getTotals() {
+    this.sync();
+    return this.indexedBlocks[this.indexedBlocks.length - 1]?.totals || ChainIndex.emptyTotals();
+  }
+
+  // Cumulative proof of work of the active chain up to height (0 before genesis)
+  getChainWork(height) {
+    this.sync();
+    return height > 0 ? this.indexedBlocks[height - 1].totals.work : 0n;
+  }
+}
@@ -0,0 +1,150 @@
+// Per-block LevelDB layout:
+//   block:<hash>      -> full block
+//   height:<height>   -> block hash on the active chain (zero-padded so keys sort numerically)
+//   chainTip          -> { height, hash, updatedAt }
+const LEGACY_CHAIN_KEY = 'blockchain';
+const TIP_KEY = 'chainTip';
+const HEIGHT_KEY_WIDTH = 12;
+
+export class ChainStore {
+  constructor(blockchain) {
+    this.blockchain = blockchain;
+    this.persistedHashes = []; // persistedHashes[i] is the stored hash at height i + 1
+  }
+
+  get db() {
+    return this.blockchain.db;
+  }
+
+  static blockKey(hash) {
+    return `block:${hash}`;
+  }
+
+  static heightKey(height) {
+    return `height:${String(height).padStart(HEIGHT_KEY_WIDTH, '0')}`;
+  }
+
+  async getOptional(key) {
+    try {
+      return await this.db.get(key);
+    } catch (error) {
+      if (error.code === 'LEVEL_NOT_FOUND') return undefined;
+      throw error;
+    }
+  }
+
+  // Read the active chain, migrating the old single-key layout on first start
+  async loadChain() {
+    let tip = await this.getOptional(TIP_KEY);
+
+    if (!tip) {
+      const legacyChain = await this.getOptional(LEGACY_CHAIN_KEY);
+      if (!Array.isArray(legacyChain) || legacyChain.length === 0) {
+        return [];
+      }
+      await this.migrateLegacyChain(legacyChain);
+      tip = await this.getOptional(TIP_KEY);
+    }
+
+    const hashes = await this.db.values({
+      gte: ChainStore.heightKey(1),
+      lte: ChainStore.heightKey(tip.height)
+    }).all();
+
+    const blocks = await this.db.getMany(hashes.map(hash => ChainStore.blockKey(hash)));
+    const chain = [];
+    for (let i = 0; i < blocks.length; i++) {
+      const block = blocks[i];
+      if (!block || block.hash !== hashes[i] || block.index !== i + 1) {
+        throw new Error(`Stored chain is corrupt at height ${i + 1}`);
+      }
+      chain.push(block);
+    }
+
+    if (chain.length !== tip.height || chain[chain.length - 1].hash !== tip.hash) {
+      throw new Error('Stored chain does not reach the recorded tip');
+    }
+
+    this.persistedHashes = hashes;
+    return chain;
+  }
+
+  async migrateLegacyChain(legacyChain) {
+    console.log(`📦 Migrating ${legacyChain.length} blocks to per-block storage...`);
+
+    const operations = legacyChain.flatMap((block, i) => [
+      { type: 'put', key: ChainStore.blockKey(block.hash), value: block },
+      { type: 'put', key: ChainStore.heightKey(i + 1), value: block.hash }
+    ]);
+    operations.push(this.tipOperation(legacyChain));
+    operations.push({ type: 'del', key: LEGACY_CHAIN_KEY });
+
+    await this.db.batch(operations);
+    console.log('✅ Chain migration complete');
+  }
+
+  tipOperation(chain) {
+    const tip = chain[chain.length - 1];
+    return {
+      type: 'put',
+      key: TIP_KEY,
+      value: { height: chain.length, hash: tip.hash, updatedAt: Date.now() }
+    };
+  }
+
+  // Write only the blocks that differ from what is already stored, in one atomic batch
+  // together with their index entries, account and contract state changes and any extra
+  // operations (mempool, peers, config)
+  async saveChain(currentChain, extraOperations = []) {
+    const chain = currentChain.slice(); // blocks may be appended while we await
+    const chainState = this.blockchain.chainState;
+    const stateOperations = chainState.takeOperations(chain);
+    const contractSystem = this.blockchain.contractSystem;
+    const contractOperations = contractSystem.takeOperations();
+    const chainIndex = this.blockchain.chainIndex;
+    const persisted = this.persistedHashes;
+
+    let forkHeight = Math.min(persisted.length, chain.length);
+    for (let i = 0; i < forkHeight; i++) {
+      if (persisted[i] !== chain[i].hash) {
+        forkHeight = i;
+        break;
+      }
+    }
+
+    // Disconnect replaced blocks (chain reorganisation) before connecting the new ones,
+    // so entries shared by both branches end up pointing at the new branch
+    const operations = [];
+    const replacedHashes = persisted.slice(forkHeight);
+    const replacedBlocks = await this.db.getMany(replacedHashes.map(hash => ChainStore.blockKey(hash)));
+    replacedBlocks.forEach((block, i) => {
+      const height = forkHeight + i + 1;
+      if (block) {
+        operations.push(...chainIndex.disconnectOperations(block, height));
+      }
+      operations.push({ type: 'del', key: ChainStore.blockKey(replacedHashes[i]) });
+      operations.push({ type: 'del', key: ChainStore.heightKey(height) });
+    });
+
+    for (let i = forkHeight; i < chain.length; i++) {
+      const block = chain[i];
+      operations.push({ type: 'put', key: ChainStore.blockKey(block.hash), value: block });
+      operations.push({ type: 'put', key: ChainStore.heightKey(i + 1), value: block.hash });
+      operations.push(...chainIndex.connectOperations(block, i + 1));
+    }
+
+    if (operations.length > 0 && chain.length > 0) {
+      operations.push(this.tipOperation(chain));
+      operations.push(chainIndex.tipOperation(chain));
+    }
+
+    try {
+      await this.db.batch([...operations, ...stateOperations, ...contractOperations, ...extraOperations]);
+    } catch (error) {
+      chainState.markAllDirty();
+      contractSystem.markAllDirty();
+      throw error;
+    }
+    this.persistedHashes = chain.map(block => block.hash);
+  }
+}
@@ -0,0 +1,195 @@
+// Account balances and nonces for the active chain tip, persisted as:
+//   account:<address>  -> { balance, nonce }
+//   undo:<blockHash>   -> [[address, previous account or null], ...]
+//   stateTip           -> { height, hash }
+// Connecting a block records the previous value of every account it touches, so
+// disconnecting it restores them exactly instead of replaying the chain.
+const STATE_TIP_KEY = 'stateTip';
+
+// Map-like view over a base lookup that keeps its own writes
+class StateOverlay {
+  constructor(lookup) {
+    this.lookup = lookup;
+    this.changes = new Map();
+  }
+
+  get(key) {
+    return this.changes.has(key) ? this.changes.get(key) : this.lookup(key);
+  }
+
+  set(key, value) {
+    this.changes.set(key, value);
+    return this;
+  }
+}
+
+export class ChainState {
+  constructor(blockchain) {
+    this.blockchain = blockchain;
+    this.reset();
+  }
+
+  reset() {
+    this.accounts = new Map(); // address -> { balance, nonce }
+    this.appliedBlocks = []; // [{ hash, undo }] for every block up to the tip
+    this.dirtyAddresses = new Set(); // accounts changed since the last save
+    this.undoOperations = new Map(); // block hash -> put/del of its undo record
+  }
+
+  getAccount(address) {
+    this.sync();
+    return this.accounts.get(address) || { balance: 0, nonce: 0 };
+  }
+
+  getBalance(address) {
+    return this.getAccount(address).balance;
+  }
+
+  getNonce(address) {
+    return this.getAccount(address).nonce;
+  }
+
+  // Confirmed balance minus everything the address already spends in the mempool.
+  // Pending incoming amounts are not counted until they confirm.
+  getSpendableBalance(address, pendingTransactions = this.blockchain.pendingTransactions) {
+    const pendingSpend = pendingTransactions
+      .filter(tx => tx.sender === address)
+      .reduce((total, tx) => total + tx.amount + (tx.fee || 0), 0);
+    return this.getBalance(address) - pendingSpend;
+  }
+
+  // Validation state for a block on top of the current tip, without replaying the chain
+  createValidationState() {
+    this.sync();
+    const addedIds = new Set();
+    return {
+      balances: new StateOverlay(address => this.accounts.get(address)?.balance || 0),
+      accountNonces: new StateOverlay(address => this.accounts.get(address)?.nonce || 0),
+      transactionIds: {
+        has: id => addedIds.has(id) || this.blockchain.getTransaction(id).transaction !== null,
+        add: id => addedIds.add(id)
+      }
+    };
+  }
+
+  // Follow blockchain.chain: disconnect back to the fork point, then connect forward
+  sync() {
+    const chain = this.blockchain.chain;
+    const appliedTip = this.appliedBlocks[this.appliedBlocks.length - 1];
+    if (this.appliedBlocks.length === chain.length && appliedTip?.hash === chain[chain.length - 1]?.hash) {
+      return;
+    }
+
+    let forkHeight = Math.min(this.appliedBlocks.length, chain.length);
+    while (forkHeight > 0 && this.appliedBlocks[forkHeight - 1].hash !== chain[forkHeight - 1].hash) {
+      forkHeight--;
+    }
+
+    while (this.appliedBlocks.length > forkHeight) {
+      this.disconnectBlock();
+    }
+    for (let height = forkHeight + 1; height <= chain.length; height++) {
+      this.connectBlock(chain[height - 1]);
+    }
+  }
+
+  connectBlock(block) {
+    const undo = new Map();
+    const update = (address, change) => {
+      const previous = this.accounts.get(address);
+      if (!undo.has(address)) undo.set(address, previous ? { ...previous } : null);
+
+      const account = previous || { balance: 0, nonce: 0 };
+      this.accounts.set(address, change(account));
+      this.dirtyAddresses.add(address);
+    };
+
+    for (const tx of block.transactions) {
+      update(tx.recipient, account => ({ ...account, balance: account.balance + tx.amount }));
+
+      if (tx.sender !== '00') {
+        update(tx.sender, account => ({
+          balance: account.balance - tx.amount - (tx.fee || 0),
+          nonce: typeof tx.nonce === 'number' ? tx.nonce : account.nonce
+        }));
+      }
+    }
+
+    const undoEntries = Array.from(undo);
+    this.appliedBlocks.push({ hash: block.hash, undo: undoEntries });
+    this.undoOperations.set(block.hash, { type: 'put', key: `undo:${block.hash}`, value: undoEntries });
+  }
+
+  disconnectBlock() {
+    const { hash, undo } = this.appliedBlocks.pop();
+    for (const [address, previous] of undo) {
+      if (previous) {
+        this.accounts.set(address, previous);
+      } else {
+        this.accounts.delete(address);
+      }
+      this.dirtyAddresses.add(address);
+    }
+    this.undoOperations.set(hash, { type: 'del', key: `undo:${hash}` });
+  }
+
+  // Level operations persisting every change since the last call. Taken synchronously
+  // so they match the chain snapshot being saved alongside them.
+  takeOperations(chain) {
+    this.sync();
+    const operations = [...this.undoOperations.values()];
+    for (const address of this.dirtyAddresses) {
+      const account = this.accounts.get(address);
+      operations.push(account
+        ? { type: 'put', key: `account:${address}`, value: account }
+        : { type: 'del', key: `account:${address}` });
+    }
+    if (chain.length > 0) {
+      const tip = chain[chain.length - 1];
+      operations.push({ type: 'put', key: STATE_TIP_KEY, value: { height: chain.length, hash: tip.hash } });
+    }
+
+    this.dirtyAddresses.clear();
+    this.undoOperations.clear();
+    return operations;
+  }
+
+  // Used when a save fails so the next one rewrites the whole state
+  markAllDirty() {
+    this.accounts.forEach((account, address) => this.dirtyAddresses.add(address));
+    this.appliedBlocks.forEach(({ hash, undo }) => {
+      this.undoOperations.set(hash, { type: 'put', key: `undo:${hash}`, value: undo });
+    });
+  }
+
+  // Load persisted state for a freshly read chain, replaying the chain when it is
+  // missing or doesn't match (e.g. databases written before chainstate existed)
+  async load(chain) {
+    this.reset();
+    const db = this.blockchain.db;
+    const tip = await this.blockchain.chainStore.getOptional(STATE_TIP_KEY);
+    const chainTip = chain[chain.length - 1];
+
+    if (tip && chainTip && tip.height === chain.length && tip.hash === chainTip.hash) {
+      const undoByHash = new Map();
+      for await (const [key, undo] of db.iterator({ gt: 'undo:', lt: 'undo;' })) {
+        undoByHash.set(key.slice(5), undo);
+      }
+
+      if (chain.every(block => undoByHash.has(block.hash))) {
+        for await (const [key, account] of db.iterator({ gt: 'account:', lt: 'account;' })) {
+          this.accounts.set(key.slice(8), account);
+        }
+        this.appliedBlocks = chain.map(block => ({ hash: block.hash, undo: undoByHash.get(block.hash) }));
+        return;
+      }
+    }
+
+    console.log('🧮 Rebuilding account state...');
+    await db.clear({ gt: 'account:', lt: 'account;' });
+    await db.clear({ gt: 'undo:', lt: 'undo;' });
+    this.sync();
+    await db.batch(this.takeOperations(chain));
+    console.log(`✅ Account state rebuilt for ${this.accounts.size} addresses`);
+  }
+}
@@ -0,0 +1,134 @@
+// Wallet keys and transaction signing for the browser pages. Private keys never
+// leave the page: transactions are built and signed here exactly as
+// Blockchain.signTransaction does, then submitted to POST /transaction.
+import * as secp from './vendor/secp256k1/index.js';
+import { sha256 } from './vendor/hashes/sha2.js';
+import { hmac } from './vendor/hashes/hmac.js';
+
+// Pages served over plain HTTP have no WebCrypto digests, so hash in JS
+secp.hashes.sha256 = sha256;
+secp.hashes.hmacSha256 = (key, message) => hmac(sha256, key, message);
+
+const encoder = new TextEncoder();
+const toHex = (bytes) => Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+const fromHex = (hex) => Uint8Array.from(hex.match(/../g), byte => parseInt(byte, 16));
+const hashText = (text) => toHex(sha256(encoder.encode(text)));
+// Transaction IDs come from the sha256 package, which reads its input as a binary
+// string: one byte per UTF-16 code unit, its low 8 bits
+const hashBinaryString = (text) => toHex(sha256(Uint8Array.from({ length: text.length }, (_, i) => text.charCodeAt(i) & 0xff)));
+
+export function getAddressFromPublicKey(publicKey) {
+  const payload = sha256(fromHex(publicKey)).slice(0, 20);
+  const checksum = sha256(payload).slice(0, 4);
+  return 'EKH' + (toHex(payload) + toHex(checksum)).toUpperCase();
+}
+
+export function walletFromPrivateKey(privateKey) {
+  if (typeof privateKey !== 'string' || !/^[0-9a-fA-F]{64}$/.test(privateKey)) {
+    throw new Error('Invalid private key format');
+  }
+  const publicKey = toHex(secp.getPublicKey(fromHex(privateKey), true));
+  return { address: getAddressFromPublicKey(publicKey), publicKey, privateKey };
+}
+
+export function createWallet() {
+  return { ...walletFromPrivateKey(toHex(secp.utils.randomSecretKey())), created: Date.now() };
+}
+
+// Same id the node derives in ContractSystem.getContractId
+export function getContractId(creator, nonce) {
+  return 'CONTRACT_' + hashText(`${creator}:${nonce}`).slice(0, 32).toUpperCase();
+}
+
+// Canonical serialization covered by the signature (see Blockchain.getTransactionSigningPayload)
+function getSigningPayload(transaction) {
+  return JSON.stringify([
+    transaction.chainId,
+    transaction.sender,
+    transaction.recipient,
+    transaction.amount,
+    transaction.fee,
+    transaction.nonce,
+    transaction.timestamp,
+    transaction.network,
+    transaction.publicKey,
+    transaction.data ?? null
+  ]);
+}
+
+// The node verifies DER signatures: SEQUENCE { INTEGER r, INTEGER s }
+function toDer(signature) {
+  const integer = (bytes) => {
+    let start = 0;
+    while (start < bytes.length - 1 && bytes[start] === 0) start++;
+    const value = bytes.slice(start);
+    return value[0] & 0x80 ? [0x02, value.length + 1, 0, ...value] : [0x02, value.length, ...value];
+  };
+  const content = [...integer(signature.slice(0, 32)), ...integer(signature.slice(32))];
+  return Uint8Array.from([0x30, content.length, ...content]);
+}
+
+export function signTransaction(transaction, privateKey) {
+  const { address, publicKey } = walletFromPrivateKey(privateKey);
+  if (address !== transaction.sender) {
+    throw new Error('Private key does not match sender address');
+  }
+
+  transaction.publicKey = publicKey;
+  const payload = getSigningPayload(transaction);
+  transaction.transactionId = hashBinaryString(payload);
+  transaction.signature = toHex(toDer(secp.sign(encoder.encode(payload), fromHex(privateKey))));
+  return transaction;
+}
+
+async function getJson(url, options) {
+  const response = await fetch(url, options);
+  const result = await response.json();
+  if (!response.ok) {
+    throw new Error(result.message || result.error || `HTTP ${response.status}`);
+  }
+  return result;
+}
+
+// Network parameters and the sender's next nonce, which a new transaction needs
+export async function prepareTransaction(sender) {
+  const [network, account] = await Promise.all([
+    getJson('/network'),
+    getJson(`/address/${encodeURIComponent(sender)}`)
+  ]);
+  return { network, nonce: account.nextNonce };
+}
+
+// Build, sign and submit a transaction; data is the optional contract payload
+export async function sendTransaction({ amount, sender, recipient, fee, data, nonce, network }, privateKey) {
+  if (nonce === undefined || !network) {
+    ({ nonce, network } = await prepareTransaction(sender));
+  }
+
+  const transaction = {
+    amount,
+    sender,
+    recipient,
+    fee,
+    timestamp: Date.now(),
+    network: network.name,
+    chainId: network.chainId,
+    nonce
+  };
+  if (data) {
+    transaction.data = data;
+  }
+  signTransaction(transaction, privateKey);
+
+  const result = await getJson('/transaction', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(transaction)
+  });
+  return { transaction, note: result.note };
+}
+
+// Minimum fee for a transaction reserving gasLimit gas (see Blockchain.getMinimumFee)
+export function getMinimumFee(network, gasLimit = 0) {
+  return Number((network.fees.minimum + gasLimit * network.fees.gasPrice).toFixed(8));
+}
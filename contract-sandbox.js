@@ -0,0 +1,709 @@
+import { Worker } from 'worker_threads';
+import * as acorn from 'acorn';
+
+// Contract execution. Code is parsed once at deploy time and instrumented with
+// __gas(cost) calls at the start of every function body and loop iteration, where
+// cost is the number of syntax nodes one pass through that block can evaluate, so
+// the gas a call uses depends only on the code and its input. A call fails once it
+// uses more than its gas limit.
+//
+// Programs run in contract-worker.js, in a fresh node:vm context per call that
+// shares no objects with the node (see the worker). Anything whose running time
+// isn't bounded by gas is removed: Date, Math.random, Promise, Proxy, WebAssembly,
+// shared memory, RegExp (and regex literals), BigInt, Intl and typed arrays.
+// Built-in methods are charged per 32 elements or characters and per key they take
+// and return, iterators per step, and no string, array or object a built-in sees or
+// makes may exceed maxLength. Work the language does on a string in time linear in
+// its length is charged per 32 characters: building it with + or a template,
+// comparing it, converting it to a number and returning it from a function (which
+// covers valueOf and toString). Object spread and for...in pay per key. The
+// built-ins and global are then frozen. Calls are asynchronous: the worker's heap
+// is capped, and a call that hangs or kills the worker is a fault of this node
+// (execute throws) rather than an outcome, since another node might finish it.
+const RESERVED_PREFIX = '__';
+const STRICT_PREFIX = "'use strict';"; // contracts run in strict mode, so parse them that way
+const ROUTINES = new Set(['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression']);
+const LOOPS = new Set(['ForStatement', 'ForInStatement', 'ForOfStatement', 'WhileStatement', 'DoWhileStatement']);
+// Operators that compare their operands or convert them to numbers
+const STRING_OPERATORS = new Set(['==', '!=', '===', '!==', '<', '<=', '>', '>=', '-', '*', '/', '%', '**',
+  '<<', '>>', '>>>', '&', '|', '^']);
+const NUMERIC_UNARY = new Set(['+', '-', '~']);
+const NUMERIC_ASSIGNMENTS = new Set(['-=', '*=', '/=', '%=', '**=', '<<=', '>>=', '>>>=', '&=', '|=', '^=']);
+
+// Runs before contract code in the same scope as __gas and __string. It keeps its
+// own copies of the built-ins it uses, so metering them doesn't charge the prelude.
+const PRELUDE = `
+  const __removed = ['Date', 'Promise', 'Proxy', 'WebAssembly', 'SharedArrayBuffer', 'ArrayBuffer', 'DataView', 'Atomics',
+    'WeakRef', 'FinalizationRegistry', 'RegExp', 'BigInt', 'Intl', 'eval', 'console', 'escape', 'unescape',
+    'encodeURI', 'encodeURIComponent', 'decodeURI', 'decodeURIComponent'];
+  for (const name of Object.getOwnPropertyNames(globalThis)) {
+    if (__removed.includes(name) || (name.endsWith('Array') && name !== 'Array')) delete globalThis[name];
+  }
+  delete Math.random;
+  for (const name of ['match', 'matchAll', 'search', 'localeCompare', 'normalize']) delete String.prototype[name];
+  for (const name of ['flat', 'flatMap', 'toLocaleString']) delete Array.prototype[name];
+  delete Symbol.prototype.description;
+
+  const __apply = Reflect.apply;
+  const __construct = Reflect.construct;
+  const __ownKeys = Reflect.ownKeys;
+  const __keys = Object.keys;
+  const __names = Object.getOwnPropertyNames;
+  const __define = Object.defineProperty;
+  const __freeze = Object.freeze;
+  const __getPrototype = Object.getPrototypeOf;
+  const __isArray = Array.isArray;
+  const __indexOf = String.prototype.indexOf;
+  const __ceil = Math.ceil;
+  const __log2 = Math.log2;
+  const __toNumber = Number;
+
+  const __perElements = (count) => __ceil((count > 0 ? __toNumber(count) : 0) / 32);
+  const __sizeOf = (value) => {
+    if (typeof value === 'string' || __isArray(value)) return value.length;
+    return value !== null && typeof value === 'object' ? __ownKeys(value).length : 0;
+  };
+  // Gas for a value of that size: per 32 characters or elements, but per key of any
+  // other object, since listing keys takes far longer
+  const __costOf = (value, size) => {
+    return value !== null && typeof value === 'object' && !__isArray(value) ? size : __perElements(size);
+  };
+  const __checkSize = (size) => {
+    if (!(size <= __maxLength)) throw new RangeError('Built-ins are limited to ' + __maxLength + ' elements, characters or keys');
+    return size;
+  };
+  const __arrayOnly = function () {
+    if (!__isArray(this)) throw new TypeError('Array methods can only be called on arrays');
+    return 0;
+  };
+  const __stringOnly = function () {
+    if (typeof this !== 'string') throw new TypeError('String methods can only be called on strings');
+    return 0;
+  };
+
+  // Replace owner[name] with a version that refuses a receiver, argument or result
+  // over __maxLength and pays for their size, plus whatever extra (called with the
+  // same this and arguments) charges for work that depends on something else. A
+  // namespace (Math, JSON, ...) isn't charged as the receiver of its own functions.
+  const __meter = (owner, name, extra) => {
+    const original = owner[name];
+    owner[name] = function (...args) {
+      let size = this === owner ? 0 : __checkSize(__sizeOf(this));
+      let cost = 1 + __costOf(this, size);
+      for (let i = 0; i < args.length; i++) {
+        const argumentSize = __checkSize(__sizeOf(args[i]));
+        size += argumentSize;
+        cost += __costOf(args[i], argumentSize);
+      }
+      __checkSize(size);
+      __gas(cost + (extra ? __apply(extra, this, args) : 0));
+      const result = __apply(original, this, args);
+      __gas(__costOf(result, __checkSize(__sizeOf(result))));
+      return result;
+    };
+  };
+
+  // A copy of value as JSON.stringify would see it, paid for per value and limited
+  // to budget.remaining characters, so the native serializer never runs contract
+  // code (getters, toJSON) or walks more than the contract paid for
+  const __toJson = (value, key, depth, budget) => {
+    const spend = (count) => {
+      budget.remaining -= count;
+      if (budget.remaining < 0) throw new RangeError('Value is too large to serialize');
+    };
+    if (value !== null && typeof value === 'object' && typeof value.toJSON === 'function') value = value.toJSON(key);
+    __gas(1);
+    if (typeof value === 'string') {
+      spend(value.length + 2);
+      __gas(__perElements(value.length));
+      return value;
+    }
+    spend(1);
+    if (value === null || typeof value !== 'object') return value;
+    if (depth >= 64) throw new RangeError('Value is nested too deeply to serialize');
+    if (__isArray(value)) {
+      const length = __checkSize(value.length);
+      spend(length);
+      const copy = [];
+      for (let i = 0; i < length; i++) copy[i] = __toJson(value[i], String(i), depth + 1, budget);
+      return copy;
+    }
+    const keys = __keys(value);
+    const copy = {};
+    for (let i = 0; i < keys.length; i++) {
+      spend(keys[i].length + 3);
+      const item = __toJson(value[keys[i]], keys[i], depth + 1, budget);
+      if (item !== undefined) __define(copy, keys[i], { value: item, enumerable: true, writable: true, configurable: true });
+    }
+    return copy;
+  };
+
+  // Comparing a string, converting it to a number or returning it from a function
+  // takes time in its length; contract code passes such values through here
+  const __operand = (value) => {
+    if (typeof value === 'string') __gas(__perElements(value.length));
+    return value;
+  };
+  const __operands = (args) => {
+    for (let i = 0; i < args.length; i++) __operand(args[i]);
+  };
+
+  // Object spread and for...in visit every key of value and of the objects it
+  // inherits from, short of the built-in prototypes, so they pay one gas per key
+  const __keysOf = (value) => {
+    let count = typeof value === 'string' ? value.length : 0;
+    for (let object = value; object !== null && (typeof object === 'object' || typeof object === 'function'); object = __getPrototype(object)) {
+      if (__builtinPrototypes.has(object)) break;
+      count += __ownKeys(object).length;
+    }
+    __gas(count);
+    return value;
+  };
+
+  // Built-ins whose work isn't bounded by the size of what they take and return
+  for (const name of ['replace', 'replaceAll']) {
+    const original = String.prototype[name];
+    String.prototype[name] = function (pattern, replacement) {
+      __apply(__stringOnly, this, []);
+      pattern = String(pattern);
+      if (typeof replacement === 'function') {
+        const replace = replacement;
+        let produced = 0;
+        replacement = (...args) => {
+          const text = String(__apply(replace, undefined, args));
+          produced += text.length;
+          __checkSize(produced);
+          __gas(__perElements(text.length));
+          return text;
+        };
+      } else {
+        replacement = String(replacement);
+        // Each $ in the replacement stands for at most the whole string
+        let matches = 0;
+        let dollars = 0;
+        for (let at = __apply(__indexOf, replacement, ['$']); at !== -1; at = __apply(__indexOf, replacement, ['$', at + 1])) dollars++;
+        for (let at = __apply(__indexOf, this, [pattern]); at !== -1 && (name === 'replaceAll' || matches === 0);) {
+          matches++;
+          __gas(1);
+          const next = at + (pattern.length > 1 ? pattern.length : 1);
+          at = next > this.length ? -1 : __apply(__indexOf, this, [pattern, next]);
+        }
+        __checkSize(this.length + matches * (replacement.length + dollars * this.length));
+      }
+      return __apply(original, this, [pattern, replacement]);
+    };
+  }
+  // Strings are built up unmetered and paid for once, at their final length
+  String.prototype.concat = function (...parts) {
+    __apply(__stringOnly, this, []);
+    let result = this;
+    for (let i = 0; i < parts.length; i++) __checkSize((result = result + String(parts[i])).length);
+    return __string(result);
+  };
+  // Without a comparator elements are compared as strings, in time linear in their length
+  const __compareStrings = (a, b) => {
+    const left = String(a);
+    const right = String(b);
+    __gas(__perElements(left.length < right.length ? left.length : right.length));
+    return left < right ? -1 : (left > right ? 1 : 0);
+  };
+  for (const name of ['sort', 'toSorted']) {
+    const original = Array.prototype[name];
+    Array.prototype[name] = function (compare) {
+      return __apply(original, this, [compare === undefined ? __compareStrings : compare]);
+    };
+  }
+  // Only arrays are spread, whatever their Symbol.isConcatSpreadable says
+  Array.prototype.concat = function (...items) {
+    __apply(__arrayOnly, this, []);
+    const result = [];
+    let length = 0;
+    for (let i = -1; i < items.length; i++) {
+      const item = i < 0 ? this : items[i];
+      if (!__isArray(item)) {
+        result[length++] = item;
+        continue;
+      }
+      __checkSize(length + item.length);
+      for (let j = 0; j < item.length; j++, length++) {
+        if (j in item) result[length] = item[j];
+      }
+    }
+    result.length = length;
+    return result;
+  };
+  Array.prototype.join = function (separator) {
+    __apply(__arrayOnly, this, []);
+    const glue = separator === undefined ? ',' : String(separator);
+    let result = '';
+    for (let i = 0; i < this.length; i++) {
+      const item = this[i];
+      __checkSize((result = result + (i > 0 ? glue : '') + (item === undefined || item === null ? '' : String(item))).length);
+    }
+    return __string(result);
+  };
+  JSON.stringify = function (value, replacer, space) {
+    if (typeof replacer === 'function') throw new TypeError('JSON.stringify replacer functions are not supported in contracts');
+    return __string(__stringify(__toJson(value, '', 0, { remaining: __maxLength }), replacer, space));
+  };
+
+  // Argument lists are copied, so an array-like's length is read (and paid for) once
+  const __list = (args) => {
+    if (args === undefined || args === null) return [];
+    const length = __checkSize(__isArray(args) ? args.length : __toNumber(args.length) || 0);
+    __gas(__perElements(length));
+    const list = [];
+    for (let i = 0; i < length; i++) list[i] = args[i];
+    return list;
+  };
+  Function.prototype.apply = function (thisArg, args) {
+    return __apply(this, thisArg, __list(args));
+  };
+  Reflect.apply = (target, thisArg, args) => __apply(target, thisArg, __list(args));
+  Reflect.construct = (target, args, ...newTarget) => __construct(target, __list(args), ...newTarget);
+
+  // Replace a global constructor with one that passes its arguments to charge first,
+  // keeping the prototype and statics so instanceof and subclassing still work
+  const __constructors = new Set();
+  const __wrapConstructor = (name, charge) => {
+    const original = globalThis[name];
+    const wrapper = { [name]: function (...args) {
+      charge(args);
+      return new.target ? __construct(original, args, new.target) : __apply(original, undefined, args);
+    } }[name];
+    wrapper.prototype = original.prototype;
+    for (const key of __names(original)) {
+      if (key !== 'length' && key !== 'name' && key !== 'prototype') wrapper[key] = original[key];
+    }
+    original.prototype.constructor = wrapper;
+    globalThis[name] = wrapper;
+    __constructors.add(wrapper);
+    return wrapper;
+  };
+  // new Array(n) allocates n slots, Number(text) parses text, and an error copies
+  // its message into the stack trace
+  const __Array = Array;
+  const __ArrayConstructor = __wrapConstructor('Array', (args) => {
+    if (args.length === 1 && typeof args[0] === 'number') __gas(__perElements(__checkSize(args[0])));
+  });
+  const __NumberConstructor = __wrapConstructor('Number', __operands);
+  for (const name of ['Error', 'EvalError', 'RangeError', 'ReferenceError', 'SyntaxError', 'TypeError', 'URIError', 'AggregateError']) {
+    __wrapConstructor(name, __operands);
+  }
+
+  const __sortCost = function () {
+    __apply(__arrayOnly, this, []);
+    return __perElements(this.length * __ceil(__log2(this.length + 1)));
+  };
+  const __extra = new Map([
+    [String.prototype.repeat, function (count) { __apply(__stringOnly, this, []); return __perElements(__checkSize(this.length * count)); }],
+    [String.prototype.padStart, function (length) { __apply(__stringOnly, this, []); return __perElements(__checkSize(__toNumber(length))); }],
+    [String.prototype.padEnd, function (length) { __apply(__stringOnly, this, []); return __perElements(__checkSize(__toNumber(length))); }],
+    [__Array.prototype.sort, __sortCost],
+    [__Array.prototype.toSorted, __sortCost],
+    // Array-likes are read index by index up to their length
+    [__Array.from, function (items) {
+      const iterable = items === null || items === undefined || typeof items[Symbol.iterator] === 'function';
+      return iterable ? 0 : __perElements(__checkSize(__toNumber(items.length) || 0));
+    }]
+  ]);
+  // Conversions (toString, valueOf) are metered like the rest, since a bound one can
+  // hand an implicit conversion a long string; they accept boxed receivers
+  for (const [owner, check] of [[__Array.prototype, __arrayOnly], [String.prototype, __stringOnly], [Function.prototype, null],
+    [Object, null], [__ArrayConstructor, null], [String, null], [JSON, null], [Reflect, null], [Math, null],
+    [__NumberConstructor, null], [Symbol, null], [Symbol.prototype, null], [Error.prototype, null],
+    [Map.prototype, null], [WeakMap.prototype, null]]) {
+    for (const name of __names(owner)) {
+      const value = __describe(owner, name).value;
+      if (name === 'constructor' || typeof value !== 'function' || __constructors.has(value)) continue;
+      __meter(owner, name, __extra.get(value) || (name === 'toString' || name === 'valueOf' ? null : check));
+    }
+  }
+  for (const name of ['parseInt', 'parseFloat', 'isNaN', 'isFinite']) __meter(globalThis, name, null);
+
+  // Iterators are charged per step, so spreading or looping over a built-in's
+  // iterator costs as much as the loop it replaces
+  const __iterators = [[][Symbol.iterator](), ''[Symbol.iterator](), new Map()[Symbol.iterator](), new Set()[Symbol.iterator]()];
+  for (let i = 0; i < __iterators.length; i++) {
+    const prototype = __getPrototype(__iterators[i]);
+    const next = prototype.next;
+    prototype.next = function () {
+      __gas(1);
+      return __apply(next, this, []);
+    };
+    __freeze(prototype);
+    __freeze(__getPrototype(prototype));
+  }
+
+  const __builtinPrototypes = new Set();
+  const __globals = __names(globalThis);
+  for (let i = 0; i < __globals.length; i++) {
+    const value = globalThis[__globals[i]];
+    if (value !== globalThis && value !== null && (typeof value === 'object' || typeof value === 'function')) {
+      __freeze(value);
+      if (value.prototype) {
+        __freeze(value.prototype);
+        __builtinPrototypes.add(value.prototype);
+      }
+    }
+  }
+  __freeze(globalThis);
+`;
+
+export class ContractSandbox {
+  constructor() {
+    this.defaultGasLimit = 100000;
+    this.maxGasLimit = 200000; // the costliest work found runs under 1 µs per gas, well inside the timeout
+    this.baseGas = 500; // charged for every call
+    this.storageGas = 4; // per 32 bytes of contract state stored after a call
+    this.maxCodeSize = 32 * 1024;
+    this.maxStateSize = 64 * 1024; // bytes of serialized contract state
+    this.maxOutputSize = 64 * 1024; // bytes of serialized result and events
+    this.maxLength = 64 * 1024; // elements, characters or keys a built-in may take or return
+    this.memoryLimitMb = 64;
+    this.timeout = 1000; // ms; a backstop, gas normally stops a call long before this
+    this.worker = null;
+    this.queue = Promise.resolve();
+    this.callId = 0;
+  }
+
+  // Parse and instrument contract code. Throws on code that doesn't parse or uses
+  // unsupported features. Returns { script, methods } where methods are the
+  // top-level function declarations a call may name.
+  compile(code) {
+    if (typeof code !== 'string' || code.length === 0) {
+      throw new Error('Contract code is required');
+    }
+    if (code.length > this.maxCodeSize) {
+      throw new Error(`Contract code is ${code.length} bytes, limit is ${this.maxCodeSize}`);
+    }
+
+    let ast;
+    try {
+      ast = acorn.parse(STRICT_PREFIX + code, { ecmaVersion: 2022, sourceType: 'script' });
+    } catch (error) {
+      throw new Error(`Contract code does not parse: ${error.message}`);
+    }
+
+    const methods = ast.body
+      .slice(1)
+      .filter(node => node.type === 'FunctionDeclaration')
+      .map(node => node.id.name);
+    if (methods.length === 0) {
+      throw new Error('Contract code must declare at least one top-level function');
+    }
+
+    const insertions = [];
+    const tagged = new Set(); // template literals of tagged templates, which can't be wrapped
+    const source = (node) => code.slice(node.start - STRICT_PREFIX.length, node.end - STRICT_PREFIX.length);
+    // Pass the value of node, a child of a node at depth, through a prelude helper.
+    // Numbers and other constants are left alone.
+    const wrap = (node, helper, depth) => {
+      if (!node || (node.type === 'Literal' && typeof node.value !== 'string')) return;
+      insertions.push({ position: node.start, text: `${helper}(`, opening: true, depth: depth + 0.5 });
+      insertions.push({ position: node.end, text: ')', opening: false, depth: depth + 0.5 });
+    };
+    ContractSandbox.walk(ast, 0, (node, depth) => {
+      if (node.type === 'Identifier' && node.name.startsWith(RESERVED_PREFIX)) {
+        throw new Error(`Identifiers starting with ${RESERVED_PREFIX} are reserved`);
+      }
+      if (node.type === 'AwaitExpression' || node.type === 'ImportExpression' || (ROUTINES.has(node.type) && node.async)) {
+        throw new Error('Async functions, await and import() are not supported in contracts');
+      }
+      if (node.type === 'Literal' && (node.regex || node.bigint !== undefined)) {
+        throw new Error('Regular expressions and BigInt are not supported in contracts');
+      }
+
+      // Strings built by concatenation are length-checked as they're made
+      if (node.type === 'TaggedTemplateExpression') tagged.add(node.quasi);
+      if ((node.type === 'BinaryExpression' && node.operator === '+') ||
+          (node.type === 'AssignmentExpression' && node.operator === '+=') ||
+          (node.type === 'TemplateLiteral' && node.expressions.length > 0 && !tagged.has(node))) {
+        insertions.push({ position: node.start, text: '__string(', opening: true, depth });
+        insertions.push({ position: node.end, text: ')', opening: false, depth });
+      }
+
+      if (node.type === 'ObjectPattern' && node.properties.some(property => property.type === 'RestElement')) {
+        throw new Error('Object rest patterns ({ ...rest }) are not supported in contracts');
+      }
+
+      // Values whose length sets the cost of the operation done on them
+      if (node.type === 'BinaryExpression' && STRING_OPERATORS.has(node.operator)) {
+        wrap(node.left, '__operand', depth);
+        wrap(node.right, '__operand', depth);
+      } else if (node.type === 'BinaryExpression' && node.operator === 'in' && node.left.type !== 'PrivateIdentifier') {
+        wrap(node.left, '__operand', depth);
+      } else if (node.type === 'MemberExpression' && node.computed) {
+        // A key is hashed, and quoted in the error if the read fails
+        wrap(node.property, '__operand', depth);
+      } else if (node.type === 'UnaryExpression' && NUMERIC_UNARY.has(node.operator)) {
+        wrap(node.argument, '__operand', depth);
+      } else if (node.type === 'UpdateExpression' || (node.type === 'AssignmentExpression' && NUMERIC_ASSIGNMENTS.has(node.operator))) {
+        // The target's current value is converted as well, so it is read once more first
+        const target = node.type === 'UpdateExpression' ? node.argument : node.left;
+        if (!ContractSandbox.isPure(target)) {
+          throw new Error('++, -- and arithmetic assignments must target a variable or a property read without calls or assignments');
+        }
+        insertions.push({ position: node.start, text: `(__operand(${source(target)}), `, opening: true, depth });
+        insertions.push({ position: node.end, text: ')', opening: false, depth });
+        wrap(node.right, '__operand', depth);
+      } else if (node.type === 'SwitchStatement') {
+        wrap(node.discriminant, '__operand', depth);
+      } else if (node.type === 'SwitchCase' || node.type === 'ReturnStatement') {
+        wrap(node.type === 'SwitchCase' ? node.test : node.argument, '__operand', depth);
+      } else if (node.type === 'ObjectExpression') {
+        node.properties.filter(property => property.type === 'SpreadElement').forEach(spread => wrap(spread.argument, '__keysOf', depth + 1));
+      } else if (node.type === 'ForInStatement') {
+        wrap(node.right, '__keysOf', depth);
+      }
+
+      if (ROUTINES.has(node.type)) {
+        ContractSandbox.meterBody(insertions, node.body, depth, 5 + ContractSandbox.measure([...node.params, node.body]));
+      } else if (LOOPS.has(node.type)) {
+        ContractSandbox.meterBody(insertions, node.body, depth, 1 + ContractSandbox.measure(ContractSandbox.iteration(node)));
+      } else if (node.type === 'PropertyDefinition' && !node.static && node.value) {
+        // Instance field initializers run on every construction
+        ContractSandbox.meterBody(insertions, node.value, depth, 1 + ContractSandbox.measure([node.value]));
+      }
+    });
+
+    // Splice from the end so earlier positions stay valid. At one position, openings
+    // go in before closings, inner openings last and inner closings first.
+    insertions.sort((a, b) => {
+      if (a.position !== b.position) return b.position - a.position;
+      if (a.opening !== b.opening) return a.opening ? -1 : 1;
+      return a.opening ? b.depth - a.depth : a.depth - b.depth;
+    });
+    let instrumented = code;
+    for (const { position, text } of insertions) {
+      const offset = position - STRICT_PREFIX.length;
+      instrumented = instrumented.slice(0, offset) + text + instrumented.slice(offset);
+    }
+
+    return { script: ContractSandbox.buildScript(instrumented, methods), methods };
+  }
+
+  // Visit every AST node with its nesting depth
+  static walk(node, depth, visit) {
+    visit(node, depth);
+    for (const value of Object.values(node)) {
+      if (Array.isArray(value)) {
+        value.forEach(child => child && typeof child.type === 'string' && ContractSandbox.walk(child, depth + 1, visit));
+      } else if (value && typeof value.type === 'string') {
+        ContractSandbox.walk(value, depth + 1, visit);
+      }
+    }
+  }
+
+  // Whether evaluating node a second time has no side effects (short of a getter's):
+  // it is built from names, constants, operators and property reads
+  static isPure(node) {
+    if (['Identifier', 'ThisExpression', 'Super', 'Literal'].includes(node.type)) return true;
+    if (node.type === 'BinaryExpression') return ContractSandbox.isPure(node.left) && ContractSandbox.isPure(node.right);
+    if (node.type === 'UnaryExpression') return node.operator !== 'delete' && ContractSandbox.isPure(node.argument);
+    return node.type === 'MemberExpression' && !node.optional && ContractSandbox.isPure(node.object) &&
+      (!node.computed || ContractSandbox.isPure(node.property));
+  }
+
+  // The parts of a loop evaluated on every iteration
+  static iteration(loop) {
+    const parts = [loop.test, loop.update, loop.body];
+    if (loop.type === 'ForInStatement' || loop.type === 'ForOfStatement') parts.push(loop.left);
+    return parts;
+  }
+
+  // Syntax nodes one pass through parts can evaluate. Nested functions, loop
+  // iterations and instance field initializers pay for themselves when they run.
+  static measure(parts) {
+    let count = 0;
+    const visit = (node) => {
+      count++;
+      if (ROUTINES.has(node.type)) return;
+      const skipped = LOOPS.has(node.type) ? ContractSandbox.iteration(node)
+        : node.type === 'PropertyDefinition' && !node.static ? [node.value] : [];
+      for (const value of Object.values(node)) {
+        for (const child of Array.isArray(value) ? value : [value]) {
+          if (child && typeof child.type === 'string' && !skipped.includes(child)) visit(child);
+        }
+      }
+    };
+    parts.forEach(part => part && visit(part));
+    return count;
+  }
+
+  // Charge cost on entry to a function body, loop iteration or field initializer
+  static meterBody(insertions, body, depth, cost) {
+    if (body.type === 'BlockStatement') {
+      insertions.push({ position: body.start + 1, text: `__gas(${cost});`, opening: true, depth });
+    } else if (body.type.endsWith('Statement') || body.type.endsWith('Declaration')) {
+      insertions.push({ position: body.start, text: `{__gas(${cost});`, opening: true, depth });
+      insertions.push({ position: body.end, text: '}', opening: false, depth });
+    } else {
+      // An arrow function's expression body, which it returns, or a field initializer
+      insertions.push({ position: body.start, text: `(__gas(${cost}), __operand(`, opening: true, depth });
+      insertions.push({ position: body.end, text: '))', opening: false, depth });
+    }
+  }
+
+  // The program: reads its input, runs the prelude and the requested method, and
+  // always returns a JSON string. Errors are reduced to their message and results
+  // copied by __toJson inside the sandbox so nothing contract-defined runs outside it.
+  static buildScript(code, methods) {
+    const methodTable = methods.map(name => `${JSON.stringify(name)}: ${name}`).join(', ');
+    return `(() => {
+  'use strict';
+  const __input = JSON.parse(__inputJson);
+  const __stringify = JSON.stringify;
+  const __describe = Object.getOwnPropertyDescriptor;
+  const __hasOwn = Object.prototype.hasOwnProperty;
+  const __slice = String.prototype.slice;
+  const __gasLimit = __input.gasLimit;
+  const __maxLength = __input.maxLength;
+  const __Error = Error;
+  const __RangeError = RangeError;
+  let __gasUsed = __input.baseGas;
+  const __gas = (cost) => {
+    __gasUsed += cost;
+    if (__gasUsed > __gasLimit) throw new __Error('Out of gas');
+  };
+  const __string = (value) => {
+    if (typeof value === 'string') {
+      if (value.length > __maxLength) throw new __RangeError('Strings are limited to ' + __maxLength + ' characters');
+      __gas(__perElements(value.length));
+    }
+    return value;
+  };
+  ${PRELUDE}
+  const __events = [];
+  const context = {
+    state: __input.state,
+    caller: __input.caller,
+    value: __input.value,
+    balance: __input.balance,
+    blockTime: __input.blockTime,
+    emit: (name, data) => {
+      __gas(20);
+      __events.push({ name: String(name), data: data === undefined ? null : data });
+    }
+  };
+
+  try {
+    const __result = (function () {
+${code}
+      const __methods = { ${methodTable} };
+      if (!__apply(__hasOwn, __methods, [__input.method])) throw new Error('Method not found: ' + __input.method);
+      return __apply(__methods[__input.method], context, __input.params);
+    })();
+    const __output = __toJson({ state: context.state, result: __result === undefined ? null : __result, events: __events }, '', 0, { remaining: __input.maxOutput });
+    return __stringify({ ok: true, gasUsed: __gasUsed, state: __output.state, result: __output.result, events: __output.events });
+  } catch (error) {
+    const message = error !== null && typeof error === 'object' ? __describe(error, 'message') : undefined;
+    return __stringify({
+      ok: false,
+      gasUsed: __gasUsed,
+      error: message && typeof message.value === 'string' ? __apply(__slice, message.value, [0, 200]) : 'Contract threw a non-Error value'
+    });
+  }
+})()`;
+  }
+
+  // Run method with params against state. Throws on invalid arguments, and when
+  // this node couldn't finish the call (it hung or the worker died), since that
+  // says nothing about the contract. Otherwise resolves to
+  // { success, result, state, events, gasUsed, gasLimit } or
+  // { success: false, error, gasUsed, gasLimit }.
+  async execute(program, { method, params = [], caller, value = 0, balance = 0, blockTime, state = {}, gasLimit = this.defaultGasLimit }) {
+    if (!Number.isSafeInteger(gasLimit) || gasLimit < this.baseGas || gasLimit > this.maxGasLimit) {
+      throw new Error(`Gas limit must be an integer from ${this.baseGas} to ${this.maxGasLimit}`);
+    }
+    if (typeof method !== 'string' || !Array.isArray(params)) {
+      throw new Error('A method name and an array of params are required');
+    }
+
+    const input = JSON.stringify({
+      method, params, caller, value, balance, blockTime, state, gasLimit,
+      baseGas: this.baseGas,
+      maxLength: this.maxLength,
+      maxOutput: this.maxStateSize + this.maxOutputSize
+    });
+    const outcome = JSON.parse(await this.run(program.script, input));
+    const failed = (error, gasUsed) => ({ success: false, error, gasUsed: Math.min(gasUsed, gasLimit), gasLimit });
+
+    if (!outcome.ok) {
+      return failed(outcome.error, outcome.gasUsed);
+    }
+
+    const stateSize = Buffer.byteLength(JSON.stringify(outcome.state ?? {}));
+    if (stateSize > this.maxStateSize) {
+      return failed(`Contract state is ${stateSize} bytes, limit is ${this.maxStateSize}`, gasLimit);
+    }
+    const gasUsed = outcome.gasUsed + Math.ceil(stateSize / 32) * this.storageGas;
+    if (gasUsed > gasLimit) {
+      return failed('Out of gas', gasLimit);
+    }
+
+    return {
+      success: true,
+      result: outcome.result,
+      state: outcome.state ?? {},
+      events: outcome.events,
+      gasUsed,
+      gasLimit
+    };
+  }
+
+  // Hand the program to the worker. Calls are queued so one runs at a time; a call
+  // still running after twice the vm timeout (out of memory, or stuck where the
+  // timeout can't interrupt it) gets the worker replaced and rejects.
+  run(script, input) {
+    const call = this.queue.then(() => new Promise((resolve, reject) => {
+      const worker = this.getWorker();
+      const id = ++this.callId;
+      const finish = (error, output) => {
+        clearTimeout(timer);
+        worker.off('message', onMessage);
+        worker.off('exit', onExit);
+        if (error) reject(error);
+        else resolve(output);
+      };
+      const onMessage = (message) => {
+        if (message.id !== id) return;
+        if (message.fault) finish(new Error(`Contract sandbox fault: ${message.fault}`));
+        else finish(null, message.output);
+      };
+      const onExit = () => finish(new Error('Contract sandbox stopped during the call'));
+      const timer = setTimeout(() => {
+        this.terminateWorker();
+        finish(new Error('Contract sandbox exceeded its time or memory limit'));
+      }, this.timeout * 2);
+
+      worker.on('message', onMessage);
+      worker.on('exit', onExit);
+      worker.postMessage({ id, script, input, timeout: this.timeout });
+    }));
+    this.queue = call.catch(() => {});
+    return call;
+  }
+
+  getWorker() {
+    if (this.worker) return this.worker;
+
+    const worker = new Worker(new URL('./contract-worker.js', import.meta.url), {
+      resourceLimits: { maxOldGenerationSizeMb: this.memoryLimitMb, maxYoungGenerationSizeMb: 16 }
+    });
+    worker.on('error', (error) => console.log(`Contract worker stopped: ${error.message}`));
+    worker.on('exit', () => {
+      if (this.worker === worker) this.worker = null;
+    });
+    worker.unref();
+
+    this.worker = worker;
+    return worker;
+  }
+
+  terminateWorker() {
+    if (!this.worker) return;
+    this.worker.terminate().catch(() => {});
+    this.worker = null;
+  }
+}
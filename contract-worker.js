@@ -0,0 +1,31 @@
+import { parentPort } from 'worker_threads';
+import vm from 'vm';
+
+// Runs contract programs for ContractSandbox. Every call gets a fresh vm context
+// that can't compile code from strings. The context is created with
+// DONT_CONTEXTIFY, so its global is an ordinary global of the new realm rather
+// than a wrapper around an object from this one, and the only thing placed on it
+// is the input as a JSON string: nothing from this realm (and so no path to this
+// realm's Function or process) is reachable from contract code. The program
+// always returns a string; anything else (a timeout, a crash in the vm) is
+// reported as a fault, which the node treats as its own failure, not the contract's.
+parentPort.on('message', ({ id, script, input, timeout }) => {
+  let output;
+  try {
+    const context = vm.createContext(vm.constants.DONT_CONTEXTIFY, {
+      codeGeneration: { strings: false, wasm: false },
+      microtaskMode: 'afterEvaluate'
+    });
+    context.__inputJson = String(input);
+    output = vm.runInContext(script, context, { timeout });
+  } catch (error) {
+    // Only errors raised by node itself are inspected; anything thrown from the
+    // contract's realm could run contract code from a getter
+    const timedOut = error instanceof Error && error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT';
+    parentPort.postMessage({ id, fault: timedOut ? 'execution timed out' : 'execution failed' });
+    return;
+  }
+
+  if (typeof output === 'string') parentPort.postMessage({ id, output });
+  else parentPort.postMessage({ id, fault: 'program returned no output' });
+});
@@ -1,72 +1,55 @@
-
-import { v4 as uuidv4 } from 'uuid';
 import crypto from 'crypto';
+import { ContractSandbox } from './contract-sandbox.js';
+import { MerkleTree } from './merkle.js';
+
+// Contract deployments and calls are signed transactions whose data field names
+// the operation; they take effect when mined, in block order, on every node.
+//   deploy: { type: 'CONTRACT_DEPLOY', code, initialData } sent to the new contract's id
+//   call:   { type: 'CONTRACT_EXECUTE', method, params, gasLimit } sent to the contract,
+//           with the transaction amount as the call's value
+export const CONTRACT_DEPLOY = 'CONTRACT_DEPLOY';
+export const CONTRACT_EXECUTE = 'CONTRACT_EXECUTE';
+const CONTRACT_ID_PATTERN = /^CONTRACT_[0-9A-F]{32}$/;
+const CONTRACT_TIP_KEY = 'contractTip';
+
+const hash = (value) => crypto.createHash('sha256').update(value).digest('hex');
 
 export class SmartContract {
-  constructor(id, code, creator, initialData = {}) {
+  constructor(id, code, creator, initialData = {}, program, created) {
     this.id = id;
     this.code = code;
+    this.program = program; // instrumented code from ContractSandbox.compile
     this.creator = creator;
     this.state = { ...initialData };
-    this.balance = 0;
-    this.created = Date.now();
+    this.balance = 0; // value sent with deployment and calls; contracts cannot spend it
+    this.created = created;
     this.events = [];
     this.lastExecuted = null;
   }
 
-  // Execute contract method
-  execute(method, params = [], caller, value = 0) {
-    try {
-      // Create a safe execution context
-      const context = {
-        state: { ...this.state },
-        balance: this.balance,
-        caller,
-        value,
-        blockTime: Date.now(),
-        emit: (eventName, data) => {
-          this.events.push({
-            name: eventName,
-            data,
-            timestamp: Date.now(),
-            caller
-          });
-        }
-      };
-
-      // Parse and execute the contract code
-      const contractFunction = new Function('context', 'method', 'params', `
-        ${this.code}
-        
-        // Call the requested method
-        if (typeof ${method} === 'function') {
-          return ${method}.apply(this, params);
-        } else {
-          throw new Error('Method not found: ' + method);
-        }
-      `);
-
-      const result = contractFunction.call(context, context, method, params);
-
-      // Update contract state
-      this.state = context.state;
-      this.balance = context.balance;
-      this.lastExecuted = Date.now();
+  // Persisted form; the program is recompiled and events come back from receipts on load
+  toRecord() {
+    return {
+      id: this.id,
+      code: this.code,
+      creator: this.creator,
+      state: this.state,
+      balance: this.balance,
+      created: this.created,
+      lastExecuted: this.lastExecuted
+    };
+  }
 
-      return {
-        success: true,
-        result,
-        gasUsed: 21000, // Simplified gas calculation
-        events: this.events.slice(-10) // Last 10 events
-      };
+  static fromRecord(record, program) {
+    const contract = new SmartContract(record.id, record.code, record.creator, record.state, program, record.created);
+    contract.balance = record.balance;
+    contract.lastExecuted = record.lastExecuted;
+    return contract;
+  }
 
-    } catch (error) {
-      return {
-        success: false,
-        error: error.message,
-        gasUsed: 5000
-      };
-    }
+  // The fields a block can change, kept as undo data
+  snapshot() {
+    return { state: this.state, balance: this.balance, lastExecuted: this.lastExecuted };
   }
 
   // Get contract info
@@ -83,81 +66,567 @@ export class SmartContract {
   }
 }
 
+// Contracts as of the active chain tip, persisted next to the chainstate:
+//   contract:<id>             -> { id, code, creator, state, balance, created, lastExecuted }
+//   contractReceipt:<txId>    -> outcome of a mined deployment or call, with its events
+//   contractUndo:<blockHash>  -> { stateRoot, undo: [[id, previous snapshot or null], ...], receipts: [txId, ...] }
+//   contractTip               -> { height, hash }
+// Blocks are executed while they are validated (see Blockchain.validateBlock) and
+// the execution is kept when they connect; disconnecting one restores the contracts
+// it touched from its undo data. stateRoot is the Merkle root of every contract's
+// leaf hash (see leafHash) after the block, and the block header commits to it as
+// contractStateRoot. sync only executes blocks that connected without it, e.g. a
+// chain read from disk.
 export class ContractSystem {
   constructor(blockchain) {
     this.blockchain = blockchain;
-    this.contracts = new Map();
+    this.sandbox = new ContractSandbox();
     this.templates = this.getContractTemplates();
+    this.programs = new Map(); // sha256 of code -> compiled program
+    this.syncing = Promise.resolve();
+    this.reset();
+  }
+
+  reset() {
+    this.contracts = new Map();
+    this.receipts = new Map(); // transactionId -> outcome of a mined deployment or call
+    this.appliedBlocks = []; // [{ hash, stateRoot, undo, receipts }] for every block up to the tip
+    this.dirtyContracts = new Set(); // contracts changed since the last save
+    this.undoOperations = new Map(); // block hash -> put/del of its undo record
+    this.receiptOperations = new Map(); // transactionId -> put/del of its receipt
+  }
+
+  static isContractTransaction(tx) {
+    return tx.data?.type === CONTRACT_DEPLOY || tx.data?.type === CONTRACT_EXECUTE;
+  }
+
+  // Gas a transaction reserves, which its fee pays for (see Blockchain.getMinimumFee)
+  static getGasLimit(tx) {
+    return tx.data?.type === CONTRACT_EXECUTE ? tx.data.gasLimit : 0;
+  }
+
+  // A deployment's contract id follows from its sender and nonce, so it is known before signing
+  static getContractId(creator, nonce) {
+    const digest = crypto.createHash('sha256').update(`${creator}:${nonce}`).digest('hex');
+    return 'CONTRACT_' + digest.slice(0, 32).toUpperCase();
+  }
+
+  // Consensus rules for a contract transaction's payload. Returns why it is
+  // invalid, or null. Whether a call succeeds is only known once it executes.
+  validateTransaction(tx) {
+    const { data } = tx;
+    if (data.type === CONTRACT_DEPLOY) {
+      if (tx.recipient !== ContractSystem.getContractId(tx.sender, tx.nonce)) {
+        return 'Deployment must be sent to the contract id derived from its sender and nonce';
+      }
+      if (typeof data.code !== 'string' || data.code.length > this.sandbox.maxCodeSize) {
+        return `Contract code must be a string of at most ${this.sandbox.maxCodeSize} bytes`;
+      }
+      if (data.initialData === null || typeof data.initialData !== 'object' || Array.isArray(data.initialData)) {
+        return 'Contract initialData must be an object';
+      }
+      return null;
+    }
+
+    if (!CONTRACT_ID_PATTERN.test(tx.recipient)) {
+      return 'Contract call must be sent to a contract id';
+    }
+    if (typeof data.method !== 'string' || !Array.isArray(data.params)) {
+      return 'Contract call needs a method name and an array of params';
+    }
+    if (!Number.isSafeInteger(data.gasLimit) || data.gasLimit < this.sandbox.baseGas || data.gasLimit > this.sandbox.maxGasLimit) {
+      return `Gas limit must be an integer from ${this.sandbox.baseGas} to ${this.sandbox.maxGasLimit}`;
+    }
+    return null;
+  }
+
+  // Extra checks before a contract transaction enters the mempool, so transactions
+  // that can only fail aren't mined: code must compile and calls need a contract
+  // that exists (or is being deployed, in the mempool or a block not executed yet)
+  // and has the method.
+  validatePendingTransaction(tx) {
+    if (tx.data.type === CONTRACT_DEPLOY) {
+      try {
+        this.sandbox.compile(tx.data.code);
+      } catch (error) {
+        return `Invalid contract code: ${error.message}`;
+      }
+      return null;
+    }
+
+    let methods = this.contracts.get(tx.recipient)?.program.methods;
+    if (!methods) {
+      const unexecuted = this.blockchain.chain.slice(this.appliedBlocks.length).flatMap(block => block.transactions);
+      const pendingDeploy = [...unexecuted, ...this.blockchain.pendingTransactions].find(pending =>
+        pending.recipient === tx.recipient && pending.data?.type === CONTRACT_DEPLOY
+      );
+      if (!pendingDeploy) return 'Contract not found';
+      methods = this.sandbox.compile(pendingDeploy.data.code).methods;
+    }
+    return methods.includes(tx.data.method) ? null : `Method not found: ${tx.data.method}`;
   }
 
-  // Deploy a new contract
-  deployContract(code, creator, initialData = {}) {
+  // Signed deployment transaction; the contract exists once it is mined
+  createDeployTransaction(code, creator, privateKey, initialData = {}, fee = this.blockchain.minTransactionFee) {
     if (!this.blockchain.isValidAddress(creator)) {
       throw new Error('Invalid creator address');
     }
 
-    const contractId = 'CONTRACT_' + uuidv4().replace(/-/g, '').toUpperCase();
-    
-    // Validate contract code (basic security check)
-    if (!this.validateContractCode(code)) {
-      throw new Error('Invalid or unsafe contract code');
+    const contractId = ContractSystem.getContractId(creator, this.blockchain.getNextNonce(creator));
+    const transaction = this.blockchain.createNewTransaction(0, creator, contractId, fee, privateKey, {
+      type: CONTRACT_DEPLOY,
+      code,
+      initialData
+    });
+    return { contractId, transaction };
+  }
+
+  // Signed call transaction; it executes once it is mined
+  createExecuteTransaction(contractId, method, params = [], caller, privateKey, value = 0, gasLimit = this.sandbox.defaultGasLimit, fee = this.blockchain.getMinimumFee(gasLimit)) {
+    if (!this.blockchain.isValidAddress(caller)) {
+      throw new Error('Invalid caller address');
     }
 
-    const contract = new SmartContract(contractId, code, creator, initialData);
-    this.contracts.set(contractId, contract);
+    return this.blockchain.createNewTransaction(value, caller, contractId, fee, privateKey, {
+      type: CONTRACT_EXECUTE,
+      method,
+      params,
+      gasLimit
+    });
+  }
+
+  // Compiled program for code, compiled once per distinct code. Throws like compile.
+  getProgram(code) {
+    const key = hash(code);
+    if (!this.programs.has(key)) this.programs.set(key, this.sandbox.compile(code));
+    return this.programs.get(key);
+  }
+
+  // Follow blockchain.chain: disconnect back to the fork point, then execute forward.
+  // Syncs run one at a time. Rejects if a block couldn't be executed (see
+  // executeBlock); the contracts then stay at the last block that was.
+  sync() {
+    const run = this.syncing.then(() => this.followChain());
+    this.syncing = run.catch(() => {});
+    return run;
+  }
+
+  // sync, logging a failure instead of rejecting; the next sync retries it
+  async catchUp() {
+    try {
+      await this.sync();
+    } catch (error) {
+      console.log(`⚠️ Contract state stopped at height ${this.appliedBlocks.length}: ${error.message}`);
+    }
+  }
+
+  async followChain() {
+    for (;;) {
+      const chain = this.blockchain.chain;
+      let forkHeight = Math.min(this.appliedBlocks.length, chain.length);
+      while (forkHeight > 0 && this.appliedBlocks[forkHeight - 1].hash !== chain[forkHeight - 1].hash) {
+        forkHeight--;
+      }
+      while (this.appliedBlocks.length > forkHeight) {
+        this.disconnectBlock();
+      }
+      if (forkHeight === chain.length) return;
+
+      const block = chain[forkHeight];
+      const execution = await this.executeBlock(block, this.getRecords(), this.appliedBlocks[forkHeight - 1]?.stateRoot);
+      // The chain may have moved off the block while it executed; if so go round again
+      if (this.blockchain.chain[forkHeight] === block) {
+        this.connectBlock(block, execution);
+      }
+    }
+  }
+
+  // Run the contract transactions in block against records (id -> record before the
+  // block, left as they are). Resolves to { records, undo, receipts, stateRoot }: the
+  // records after the block, the previous snapshot of each contract it touched (null
+  // for ones it deployed), a receipt per transaction and the state root after it.
+  // Rejects if this node couldn't finish a call (see ContractSandbox.execute), with
+  // the call's transactionId on the error.
+  async executeBlock(block, records, previousRoot) {
+    records = new Map(records);
+    const undo = new Map();
+    const receipts = [];
+
+    for (const tx of block.transactions) {
+      if (!ContractSystem.isContractTransaction(tx)) continue;
+
+      if (!undo.has(tx.recipient)) {
+        const record = records.get(tx.recipient);
+        undo.set(tx.recipient, record ? { state: record.state, balance: record.balance, lastExecuted: record.lastExecuted } : null);
+      }
+
+      let outcome;
+      try {
+        outcome = tx.data.type === CONTRACT_DEPLOY ? this.applyDeploy(tx, block, records) : await this.applyCall(tx, block, records);
+      } catch (error) {
+        error.transactionId = tx.transactionId;
+        throw error;
+      }
+      receipts.push({
+        transactionId: tx.transactionId,
+        type: tx.data.type,
+        contractId: tx.recipient,
+        blockHeight: block.index,
+        blockHash: block.hash,
+        ...outcome
+      });
+    }
+
+    const stateRoot = receipts.length > 0 || !previousRoot ? ContractSystem.computeStateRoot(records) : previousRoot;
+    return { records, undo, receipts, stateRoot };
+  }
+
+  // Make an execution of block (from executeBlock, on the current contracts) current
+  connectBlock(block, { records, undo, receipts, stateRoot }) {
+    for (const id of undo.keys()) {
+      const record = records.get(id);
+      const contract = this.contracts.get(id);
+      if (contract) {
+        Object.assign(contract, { state: record.state, balance: record.balance, lastExecuted: record.lastExecuted });
+      } else {
+        this.contracts.set(id, SmartContract.fromRecord(record, this.getProgram(record.code)));
+      }
+      this.dirtyContracts.add(id);
+    }
+
+    for (const receipt of receipts) {
+      if (receipt.events) this.contracts.get(receipt.contractId).events.push(...receipt.events);
+      this.receipts.set(receipt.transactionId, receipt);
+      this.receiptOperations.set(receipt.transactionId, { type: 'put', key: `contractReceipt:${receipt.transactionId}`, value: receipt });
+    }
+
+    const entry = { hash: block.hash, stateRoot, undo: Array.from(undo), receipts: receipts.map(receipt => receipt.transactionId) };
+    this.appliedBlocks.push(entry);
+    this.undoOperations.set(block.hash, {
+      type: 'put',
+      key: `contractUndo:${block.hash}`,
+      value: { stateRoot, undo: entry.undo, receipts: entry.receipts }
+    });
+  }
+
+  // Records and state root to execute the block after chain's last one on (see
+  // executeBlock). chain must be empty or end at a block this system has executed.
+  createValidationState(chain) {
+    const height = chain.length;
+    if (height === 0) return { records: new Map(), stateRoot: null };
+
+    const applied = this.appliedBlocks[height - 1];
+    if (applied?.hash !== chain[height - 1].hash) {
+      throw new Error(`Contract state at height ${height} is not available`);
+    }
+    const records = height === this.appliedBlocks.length ? this.getRecords() : this.getRecordsAt(height);
+    return { records, stateRoot: applied.stateRoot };
+  }
+
+  // Switch to a branch validated on top of height forkHeight: the blocks above it are
+  // disconnected and blocks connected with their executions, in order
+  connectBranch(forkHeight, blocks, executions) {
+    while (this.appliedBlocks.length > forkHeight) {
+      this.disconnectBlock();
+    }
+    blocks.forEach((block, i) => this.connectBlock(block, executions[i]));
+  }
 
-    // Create deployment transaction
-    const deployTx = {
-      amount: 0,
-      sender: creator,
-      recipient: contractId,
-      fee: 0.01, // Contract deployment fee
-      transactionId: uuidv4().split('-').join(''),
-      timestamp: Date.now(),
-      network: this.blockchain.networkName,
-      type: 'CONTRACT_DEPLOY',
-      contractId
+  disconnectBlock() {
+    const { hash, undo, receipts } = this.appliedBlocks.pop();
+
+    // The block's events are the last ones on each contract
+    for (const transactionId of [...receipts].reverse()) {
+      const receipt = this.receipts.get(transactionId);
+      const contract = this.contracts.get(receipt.contractId);
+      if (contract && receipt.events?.length > 0) {
+        contract.events.splice(-receipt.events.length);
+      }
+      this.receipts.delete(transactionId);
+      this.receiptOperations.set(transactionId, { type: 'del', key: `contractReceipt:${transactionId}` });
+    }
+
+    for (const [id, previous] of undo) {
+      if (previous) {
+        Object.assign(this.contracts.get(id), previous);
+      } else {
+        this.contracts.delete(id);
+      }
+      this.dirtyContracts.add(id);
+    }
+    this.undoOperations.set(hash, { type: 'del', key: `contractUndo:${hash}` });
+  }
+
+  applyDeploy(tx, block, records) {
+    try {
+      this.getProgram(tx.data.code);
+    } catch (error) {
+      return { success: false, error: `Invalid contract code: ${error.message}`, gasUsed: 0 };
+    }
+
+    records.set(tx.recipient, {
+      id: tx.recipient,
+      code: tx.data.code,
+      creator: tx.sender,
+      state: { ...tx.data.initialData },
+      balance: tx.amount,
+      created: block.timestamp,
+      lastExecuted: null
+    });
+    return { success: true, gasUsed: 0 };
+  }
+
+  // State and events are only kept when the call succeeds within its gas limit
+  async applyCall(tx, block, records) {
+    const record = records.get(tx.recipient);
+    if (!record) {
+      return { success: false, error: 'Contract not found', gasUsed: 0, gasLimit: tx.data.gasLimit };
+    }
+
+    // The value moved on chain whether or not the call succeeds
+    const balance = Number((record.balance + tx.amount).toFixed(8));
+    records.set(tx.recipient, { ...record, balance });
+
+    const outcome = await this.sandbox.execute(this.getProgram(record.code), {
+      method: tx.data.method,
+      params: tx.data.params,
+      caller: tx.sender,
+      value: tx.amount,
+      balance,
+      blockTime: block.timestamp,
+      state: record.state,
+      gasLimit: tx.data.gasLimit
+    });
+    if (!outcome.success) {
+      return { success: false, error: outcome.error, gasUsed: outcome.gasUsed, gasLimit: outcome.gasLimit };
+    }
+
+    records.set(tx.recipient, { ...record, balance, state: outcome.state, lastExecuted: block.timestamp });
+    return {
+      success: true,
+      result: outcome.result,
+      gasUsed: outcome.gasUsed,
+      gasLimit: outcome.gasLimit,
+      events: outcome.events.map(event => ({ ...event, timestamp: block.timestamp, caller: tx.sender }))
     };
+  }
+
+  // Level operations persisting every change since the last call (see ChainState.takeOperations)
+  takeOperations() {
+    const operations = [...this.undoOperations.values(), ...this.receiptOperations.values()];
+    for (const id of this.dirtyContracts) {
+      const contract = this.contracts.get(id);
+      operations.push(contract
+        ? { type: 'put', key: `contract:${id}`, value: contract.toRecord() }
+        : { type: 'del', key: `contract:${id}` });
+    }
+    const tip = this.appliedBlocks[this.appliedBlocks.length - 1];
+    if (tip) {
+      operations.push({ type: 'put', key: CONTRACT_TIP_KEY, value: { height: this.appliedBlocks.length, hash: tip.hash } });
+    }
+
+    this.dirtyContracts.clear();
+    this.undoOperations.clear();
+    this.receiptOperations.clear();
+    return operations;
+  }
+
+  // Used when a save fails so the next one rewrites the whole state
+  markAllDirty() {
+    this.contracts.forEach((contract, id) => this.dirtyContracts.add(id));
+    this.appliedBlocks.forEach(({ hash, stateRoot, undo, receipts }) => {
+      this.undoOperations.set(hash, { type: 'put', key: `contractUndo:${hash}`, value: { stateRoot, undo, receipts } });
+    });
+    this.receipts.forEach((receipt, transactionId) => {
+      this.receiptOperations.set(transactionId, { type: 'put', key: `contractReceipt:${transactionId}`, value: receipt });
+    });
+  }
+
+  // Load persisted contracts for a freshly read chain and execute any blocks saved
+  // after them, replaying the whole chain when they are missing or don't match
+  // (e.g. databases written before contract storage)
+  async load(chain) {
+    this.reset();
+    const db = this.blockchain.db;
+    const tip = await this.blockchain.chainStore.getOptional(CONTRACT_TIP_KEY);
+
+    if (tip && chain[tip.height - 1]?.hash === tip.hash && await this.loadStored(chain.slice(0, tip.height))) {
+      await this.catchUp();
+      return;
+    }
+
+    console.log('🧾 Rebuilding contract state...');
+    this.reset();
+    await db.clear({ gt: 'contract:', lt: 'contract;' });
+    await db.clear({ gt: 'contractReceipt:', lt: 'contractReceipt;' });
+    await db.clear({ gt: 'contractUndo:', lt: 'contractUndo;' });
+    await this.catchUp();
+    await db.batch(this.takeOperations());
+    console.log(`✅ Contract state rebuilt for ${this.contracts.size} contracts`);
+  }
+
+  // Read stored contracts, receipts and undo data; false if any are missing or unusable
+  async loadStored(chain) {
+    const db = this.blockchain.db;
+    const undoByHash = new Map();
+    for await (const [key, entry] of db.iterator({ gt: 'contractUndo:', lt: 'contractUndo;' })) {
+      undoByHash.set(key.slice(13), entry);
+    }
+    if (!chain.every(block => undoByHash.has(block.hash))) {
+      return false;
+    }
+
+    try {
+      for await (const [, record] of db.iterator({ gt: 'contract:', lt: 'contract;' })) {
+        this.contracts.set(record.id, SmartContract.fromRecord(record, this.getProgram(record.code)));
+      }
+    } catch (error) {
+      console.log(`Stored contract no longer compiles: ${error.message}`);
+      return false;
+    }
+    for await (const [key, receipt] of db.iterator({ gt: 'contractReceipt:', lt: 'contractReceipt;' })) {
+      this.receipts.set(key.slice(16), receipt);
+    }
+    this.appliedBlocks = chain.map(block => ({ hash: block.hash, ...undoByHash.get(block.hash) }));
+
+    // Events live in receipts; put them back on their contracts in chain order
+    for (const { receipts } of this.appliedBlocks) {
+      for (const transactionId of receipts) {
+        const receipt = this.receipts.get(transactionId);
+        if (!receipt) return false;
+        if (receipt.events) this.contracts.get(receipt.contractId)?.events.push(...receipt.events);
+      }
+    }
+    return true;
+  }
+
+  getRecords() {
+    return new Map(Array.from(this.contracts, ([id, contract]) => [id, contract.toRecord()]));
+  }
+
+  // Contract records as of height, from the current ones by undoing every block above it
+  getRecordsAt(height) {
+    if (!Number.isInteger(height) || height < 1 || height > this.appliedBlocks.length) {
+      throw new Error(`Height must be an integer from 1 to ${this.appliedBlocks.length}`);
+    }
+
+    const records = this.getRecords();
+    for (let i = this.appliedBlocks.length - 1; i >= height; i--) {
+      for (const [id, previous] of this.appliedBlocks[i].undo) {
+        if (previous) {
+          records.set(id, { ...records.get(id), ...previous });
+        } else {
+          records.delete(id);
+        }
+      }
+    }
+    return records;
+  }
+
+  // Leaf committed to by the state root: JSON [id, sha256(code), creator, balance, state]
+  // hashed as a Merkle leaf (see MerkleTree.hashLeaf)
+  static leafHash(record) {
+    return MerkleTree.hashLeaf(JSON.stringify([record.id, hash(record.code), record.creator, record.balance, record.state]));
+  }
+
+  // Merkle root over the leaf hashes of records, ordered by contract id
+  static computeStateRoot(records) {
+    const ids = Array.from(records.keys()).sort();
+    return new MerkleTree(ids.map(id => ContractSystem.leafHash(records.get(id)))).getRoot();
+  }
+
+  // State root after the block at height (genesis is height 1), defaulting to the
+  // last block executed
+  getStateRoot(height = this.appliedBlocks.length) {
+    return this.appliedBlocks[height - 1]?.stateRoot || null;
+  }
+
+  // Merkle branch proving a contract's record at height is part of that block's
+  // state root. Returns null if the contract didn't exist at height.
+  getStateProof(contractId, height = this.appliedBlocks.length) {
+    const records = this.getRecordsAt(height);
+    const record = records.get(contractId);
+    if (!record) return null;
+
+    const ids = Array.from(records.keys()).sort();
+    const leaves = ids.map(id => ContractSystem.leafHash(records.get(id)));
+    const position = ids.indexOf(contractId);
+    const tree = new MerkleTree(leaves);
+    const { hash: blockHash, stateRoot } = this.appliedBlocks[height - 1];
+    if (tree.getRoot() !== stateRoot) {
+      throw new Error(`Contract state at height ${height} does not match its recorded state root`);
+    }
 
     return {
-      contract,
-      transaction: deployTx
+      contractId,
+      height,
+      blockHash,
+      stateRoot,
+      contract: {
+        id: record.id,
+        codeHash: hash(record.code),
+        creator: record.creator,
+        balance: record.balance,
+        state: record.state
+      },
+      leaf: leaves[position],
+      position,
+      branch: tree.getProof(position)
     };
   }
 
-  // Execute contract method
-  executeContract(contractId, method, params, caller, value = 0) {
+  // Read-only call: runs method against a copy of the contract as of height (default:
+  // the tip), with no transaction, fee or value. The call fails if it changes state or
+  // emits an event, and nothing it does is kept. Rejects on invalid arguments, an
+  // unknown contract or method, or contracts that haven't caught up with the chain.
+  // Resolves to the sandbox outcome with blockHeight and blockHash.
+  async call(contractId, method, params = [], { caller = null, gasLimit = this.sandbox.defaultGasLimit, height } = {}) {
+    await this.catchUp();
     const contract = this.contracts.get(contractId);
     if (!contract) {
       throw new Error('Contract not found');
     }
-
-    if (!this.blockchain.isValidAddress(caller)) {
-      throw new Error('Invalid caller address');
+    if (typeof method !== 'string' || !contract.program.methods.includes(method)) {
+      throw new Error(`Method not found: ${method}`);
     }
 
-    const result = contract.execute(method, params, caller, value);
+    const blockHeight = height === undefined ? this.appliedBlocks.length : height;
+    const record = this.getRecordsAt(blockHeight).get(contractId);
+    if (!record) {
+      throw new Error(`Contract did not exist at height ${blockHeight}`);
+    }
 
-    // Create execution transaction
-    const execTx = {
-      amount: value,
-      sender: caller,
-      recipient: contractId,
-      fee: 0.005, // Contract execution fee
-      transactionId: uuidv4().split('-').join(''),
-      timestamp: Date.now(),
-      network: this.blockchain.networkName,
-      type: 'CONTRACT_EXECUTE',
-      contractId,
+    const block = this.blockchain.chain[blockHeight - 1];
+    if (block?.hash !== this.appliedBlocks[blockHeight - 1].hash) {
+      throw new Error('Contract state is behind the chain, try again shortly');
+    }
+    const outcome = await this.sandbox.execute(this.getProgram(record.code), {
       method,
       params,
-      result
-    };
+      caller,
+      value: 0,
+      balance: record.balance,
+      blockTime: block.timestamp,
+      state: record.state,
+      gasLimit
+    });
+    const at = { blockHeight, blockHash: block.hash };
+
+    if (!outcome.success) {
+      return { ...outcome, ...at };
+    }
+    if (outcome.events.length > 0) {
+      return { success: false, error: 'View calls cannot emit events', gasUsed: outcome.gasUsed, gasLimit, ...at };
+    }
+    if (JSON.stringify(outcome.state) !== JSON.stringify(record.state)) {
+      return { success: false, error: 'View calls cannot modify contract state', gasUsed: outcome.gasUsed, gasLimit, ...at };
+    }
+    return { success: true, result: outcome.result, gasUsed: outcome.gasUsed, gasLimit, ...at };
+  }
 
-    return {
-      ...result,
-      transaction: execTx
-    };
+  // Outcome of a mined deployment or call, or null if it isn't on the active chain
+  getReceipt(transactionId) {
+    return this.receipts.get(transactionId) || null;
   }
 
   // Get contract
@@ -181,34 +650,7 @@ export class ContractSystem {
       events = events.filter(event => event.name === eventName);
     }
 
-    return events.sort((a, b) => b.timestamp - a.timestamp);
-  }
-
-  // Validate contract code (basic security)
-  validateContractCode(code) {
-    // Block dangerous operations
-    const dangerousPatterns = [
-      /require\s*\(/,
-      /import\s+/,
-      /eval\s*\(/,
-      /Function\s*\(/,
-      /process\./,
-      /global\./,
-      /console\./
-    ];
-
-    for (const pattern of dangerousPatterns) {
-      if (pattern.test(code)) {
-        return false;
-      }
-    }
-
-    // Must contain at least one function
-    if (!/function\s+\w+/.test(code)) {
-      return false;
-    }
-
-    return true;
+    return [...events].sort((a, b) => b.timestamp - a.timestamp);
   }
 
   // Get contract templates
@@ -257,7 +699,7 @@ function constructor(question, options) {
   context.state.question = question;
   context.state.options = options;
   context.state.votes = {};
-  context.state.voters = new Set();
+  context.state.voters = {};
   context.state.endTime = context.blockTime + (7 * 24 * 60 * 60 * 1000); // 7 days
   context.emit('VotingStarted', { question, options });
 }
@@ -267,7 +709,7 @@ function vote(option) {
     throw new Error('Voting has ended');
   }
   
-  if (context.state.voters.has(context.caller)) {
+  if (context.state.voters[context.caller]) {
     throw new Error('Already voted');
   }
   
@@ -276,7 +718,7 @@ function vote(option) {
   }
   
   context.state.votes[option] = (context.state.votes[option] || 0) + 1;
-  context.state.voters.add(context.caller);
+  context.state.voters[context.caller] = true;
   
   context.emit('VoteCast', { voter: context.caller, option });
   return true;
@@ -286,7 +728,7 @@ function getResults() {
   return {
     question: context.state.question,
     votes: context.state.votes,
-    totalVoters: context.state.voters.size,
+    totalVoters: Object.keys(context.state.voters).length,
     ended: context.blockTime > context.state.endTime
   };
 }
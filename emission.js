@@ -0,0 +1,108 @@
+// Monetary policy. The block subsidy starts at blockchain.miningReward and halves
+// every halvingInterval blocks. It never drops below tailReward (0 disables tail
+// emission) and stops once total issuance reaches maxSupply (null for no cap).
+// Amounts are worked out in whole 1e-8 EKH units so every node gets identical
+// figures. Genesis carries no subsidy; the first rewarded block is height 2.
+const UNITS_PER_COIN = 1e8;
+const FIRST_REWARDED_HEIGHT = 2;
+
+const toUnits = (amount) => Math.round(amount * UNITS_PER_COIN);
+const toCoins = (units) => units / UNITS_PER_COIN;
+
+export class EmissionSchedule {
+  constructor(blockchain) {
+    this.blockchain = blockchain;
+    this.projectionEpochs = 8; // halvings listed in the projected supply curve
+  }
+
+  get capUnits() {
+    const maxSupply = this.blockchain.maxSupply;
+    return maxSupply === null || maxSupply === undefined ? null : toUnits(maxSupply);
+  }
+
+  getEpoch(height) {
+    return Math.floor(Math.max(0, height - FIRST_REWARDED_HEIGHT) / this.blockchain.halvingInterval);
+  }
+
+  getEpochStartHeight(epoch) {
+    return FIRST_REWARDED_HEIGHT + epoch * this.blockchain.halvingInterval;
+  }
+
+  // Subsidy per block in an epoch, before the supply cap
+  getEpochSubsidyUnits(epoch) {
+    const halved = epoch >= 53 ? 0 : Math.floor(toUnits(this.blockchain.miningReward) / 2 ** epoch);
+    return Math.max(halved, toUnits(this.blockchain.tailReward));
+  }
+
+  // Total subsidy paid by every block below height
+  getIssuedUnitsBefore(height) {
+    const cap = this.capUnits;
+    let remaining = Math.max(0, height - FIRST_REWARDED_HEIGHT);
+    let issued = 0;
+
+    for (let epoch = 0; remaining > 0; epoch++) {
+      const subsidy = this.getEpochSubsidyUnits(epoch);
+      // Once the subsidy stops halving (tail or zero) the rest of the chain pays the same
+      const blocks = subsidy === this.getEpochSubsidyUnits(epoch + 1) ? remaining : Math.min(this.blockchain.halvingInterval, remaining);
+      issued += blocks * subsidy;
+      remaining -= blocks;
+      if (cap !== null && issued >= cap) return cap;
+    }
+    return issued;
+  }
+
+  getBlockSubsidyUnits(height) {
+    if (height < FIRST_REWARDED_HEIGHT) return 0;
+
+    const subsidy = this.getEpochSubsidyUnits(this.getEpoch(height));
+    const cap = this.capUnits;
+    if (cap === null) return subsidy;
+    return Math.max(0, Math.min(subsidy, cap - this.getIssuedUnitsBefore(height)));
+  }
+
+  getBlockSubsidy(height) {
+    return toCoins(this.getBlockSubsidyUnits(height));
+  }
+
+  getIssuedSupply(height) {
+    return toCoins(this.getIssuedUnitsBefore(height));
+  }
+
+  // Where the schedule stands for the block at height, with the supply at the
+  // start of each upcoming epoch (estimated times assume targetBlockTime)
+  getSummary(height) {
+    const blockchain = this.blockchain;
+    const epoch = this.getEpoch(height);
+    const subsidy = this.getBlockSubsidyUnits(height);
+    const halving = this.getEpochSubsidyUnits(epoch + 1) < this.getEpochSubsidyUnits(epoch);
+    const nextHalvingHeight = halving ? this.getEpochStartHeight(epoch + 1) : null;
+
+    const projectedSupply = [];
+    for (let next = epoch + 1; next <= epoch + this.projectionEpochs; next++) {
+      const startHeight = this.getEpochStartHeight(next);
+      projectedSupply.push({
+        epoch: next,
+        startHeight,
+        blockReward: this.getBlockSubsidy(startHeight),
+        supplyAtStart: this.getIssuedSupply(startHeight),
+        estimatedTime: Date.now() + (startHeight - height) * blockchain.targetBlockTime
+      });
+      if (this.getBlockSubsidyUnits(startHeight) === this.getBlockSubsidyUnits(this.getEpochStartHeight(next + 1))) break;
+    }
+
+    const issued = this.getIssuedUnitsBefore(height);
+    return {
+      epoch,
+      blockReward: toCoins(subsidy),
+      nextHalvingHeight,
+      blocksUntilHalving: nextHalvingHeight === null ? null : nextHalvingHeight - height,
+      halvingInterval: blockchain.halvingInterval,
+      initialReward: blockchain.miningReward,
+      tailReward: blockchain.tailReward,
+      maxSupply: blockchain.maxSupply,
+      issuedSupply: toCoins(issued),
+      remainingSupply: this.capUnits === null ? null : toCoins(this.capUnits - issued),
+      projectedSupply
+    };
+  }
+}
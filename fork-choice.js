@@ -0,0 +1,68 @@
+import { Retarget } from './retarget.js';
+
+// Fork choice: the chain with the most cumulative proof of work wins, whatever its length.
+// A block's work is the expected number of hashes needed to meet its target,
+// 2^256 / (target + 1), and only counts when the block's hash actually meets it.
+// Equal work is broken by the lower tip hash so every node settles on the same chain.
+const HASH_SPACE = 1n << 256n;
+
+export class ForkChoice {
+  constructor(blockchain) {
+    this.blockchain = blockchain;
+  }
+
+  static workForTarget(target) {
+    return HASH_SPACE / (target + 1n);
+  }
+
+  // Work travels between nodes as a hex string because JSON has no BigInt
+  static formatWork(work) {
+    return work.toString(16);
+  }
+
+  static parseWork(value) {
+    if (typeof value !== 'string' || !/^[0-9a-f]+$/i.test(value)) return null;
+    return BigInt(`0x${value}`);
+  }
+
+  blockWork(block) {
+    if (!this.blockchain.hasValidProofOfWork(block)) return 0n;
+    return ForkChoice.workForTarget(Retarget.parseTarget(block.target));
+  }
+
+  chainWork(blocks) {
+    return blocks.reduce((total, block) => total + this.blockWork(block), 0n);
+  }
+
+  // Cumulative work of the active chain up to height (the tip by default)
+  getActiveWork(height = this.blockchain.chain.length) {
+    return this.blockchain.chainIndex.getChainWork(height);
+  }
+
+  getActiveTip() {
+    return { work: this.getActiveWork(), hash: this.blockchain.getLastBlock().hash };
+  }
+
+  // Orders candidates { work, hash } where hash is the tip's hash: negative when a is preferred
+  compare(a, b) {
+    if (a.work !== b.work) return a.work > b.work ? -1 : 1;
+    if (a.hash === b.hash) return 0;
+    return a.hash < b.hash ? -1 : 1;
+  }
+
+  selectBest(candidates) {
+    return candidates.reduce((best, candidate) => {
+      return best === null || this.compare(candidate, best) < 0 ? candidate : best;
+    }, null);
+  }
+
+  // Whether blocks (or headers), building on the active block at forkHeight, beat
+  // the active chain above that point
+  isBetterBranch(forkHeight, blocks) {
+    if (blocks.length === 0) return false;
+
+    const branch = { work: this.chainWork(blocks), hash: blocks[blocks.length - 1].hash };
+    const active = { work: this.getActiveWork() - this.getActiveWork(forkHeight), hash: this.blockchain.getLastBlock().hash };
+    return this.compare(branch, active) < 0;
+  }
+}
@@ -5,11 +5,13 @@ import { v4 as uuidv4 } from 'uuid';
 import rp from "request-promise";
 import path from "path";
 import fs from "fs";
+import crypto from "crypto";
 
 
 const __dirname = path.dirname(new URL(import.meta.url).pathname);
 
-const port = process.argv[2] || 5000;
+// First positional argument; --name=value options are read by Blockchain
+const port = process.argv.slice(2).find(arg => !arg.startsWith('--')) || 5000;
 
 const app = express();
 app.use(bodyParser.json());
@@ -26,6 +28,41 @@ const bitcoin = new Blockchain();
 // Wait for blockchain initialization
 await bitcoin.initializeBlockchain();
 
+// Optional Stratum-style mining pool for external workers
+if (process.env.POOL_PORT) {
+  await bitcoin.pool.start(parseInt(process.env.POOL_PORT, 10));
+}
+
+// Operator-only routes need "Authorization: Bearer <operator token>" when a token is
+// configured, and otherwise a request from this machine. The socket address is used,
+// never forwarding headers, which any client can set.
+const isLoopbackRequest = (req) => ['127.0.0.1', '::1', '::ffff:127.0.0.1'].includes(req.socket.remoteAddress);
+
+const requireOperator = (req, res, next) => {
+  const token = bitcoin.operatorToken;
+  if (!token) {
+    if (isLoopbackRequest(req)) return next();
+    return res.status(403).json({ error: 'Forbidden', message: 'Only allowed from this machine unless an operator token is configured' });
+  }
+
+  const [scheme, provided = ''] = (req.get('authorization') || '').split(' ');
+  const expected = crypto.createHash('sha256').update(token).digest();
+  const actual = crypto.createHash('sha256').update(provided).digest();
+  if (scheme !== 'Bearer' || !crypto.timingSafeEqual(expected, actual)) {
+    return res.status(401).json({ error: 'Unauthorized', message: 'A valid operator token is required' });
+  }
+  next();
+};
+
+// Routes that take or return a private key sign or create keys on the client's behalf.
+// The key would cross the network in the clear, so they only serve this machine; other
+// clients (the pages do this with /client/wallet.js) create keys and sign transactions
+// themselves and submit them to POST /transaction.
+const requireLocalSigning = (req, res, next) => {
+  if (isLoopbackRequest(req)) return next();
+  res.status(403).json({ error: 'Forbidden', message: 'Private keys are only handled for this node\'s machine; create keys and sign transactions yourself and submit them to POST /transaction' });
+};
+
 app.get("/", (req, res) => {
   res.send("Let's build a blockchain");
 });
@@ -123,17 +160,48 @@ app.get("/blockchain", (req, res) => {
     networkName: bitcoin.networkName,
     tokenName: bitcoin.tokenName,
     tokenSymbol: bitcoin.tokenSymbol,
-    miningReward: bitcoin.miningReward
+    miningReward: bitcoin.getBlockSubsidy()
   };
   res.json(cleanBlockchain);
 });
 
+// Chain tip, headers and blocks by height for headers-first sync
+app.get("/chain/tip", (req, res) => {
+  res.json(bitcoin.getChainTip());
+});
+
+app.get("/headers", (req, res) => {
+  const start = parseInt(req.query.start, 10);
+  const count = Math.min(parseInt(req.query.count, 10) || bitcoin.maxHeadersPerRequest, bitcoin.maxHeadersPerRequest);
+  if (!(start >= 1)) {
+    return res.status(400).json({ error: 'start must be a height of 1 or more' });
+  }
+
+  res.json({
+    tip: bitcoin.getChainTip(),
+    headers: bitcoin.getBlocksByHeight(start, count).map(block => bitcoin.getBlockHeader(block))
+  });
+});
+
+app.get("/blocks", (req, res) => {
+  const start = parseInt(req.query.start, 10);
+  const count = Math.min(parseInt(req.query.count, 10) || bitcoin.maxBlocksPerRequest, bitcoin.maxBlocksPerRequest);
+  if (!(start >= 1)) {
+    return res.status(400).json({ error: 'start must be a height of 1 or more' });
+  }
+
+  res.json({
+    tip: bitcoin.getChainTip(),
+    blocks: bitcoin.getBlocksByHeight(start, count)
+  });
+});
+
 app.post("/transaction", async (req, res) => {
   try {
     const newTransaction = req.body;
 
-    // Validate transaction structure
-    if (!newTransaction.amount || !newTransaction.sender || !newTransaction.recipient) {
+    // Validate transaction structure; contract deployments and calls may send 0
+    if (typeof newTransaction.amount !== 'number' || !newTransaction.sender || !newTransaction.recipient) {
       return res.status(400).json({ error: 'Invalid transaction data' });
     }
 
@@ -148,26 +216,22 @@ app.post("/transaction", async (req, res) => {
 
 app.get("/mine", async (req, res) => {
   try {
-    if (bitcoin.pendingTransactions.length === 0) {
-      return res.status(400).json({ error: 'No pending transactions to mine' });
+    if (!bitcoin.minerAddress) {
+      return res.status(400).json({ error: 'No miner address configured', message: 'Set one with --miner-address, MINER_ADDRESS or POST /mining/config' });
     }
 
-    const lastBlock = bitcoin.getLastBlock();
-    const previousBlockHash = lastBlock["hash"];
-    const currentBlockData = {
-      transactions: bitcoin.pendingTransactions.slice(0, bitcoin.maxTransactionsPerBlock),
-      index: lastBlock["index"] + 1,
-    };
+    if (bitcoin.miner.isSearching) {
+      return res.status(409).json({ error: 'Mining already in progress' });
+    }
 
+    // Highest fee-rate transactions that fit (possibly none), plus coinbase outputs paying this node's payout addresses the
+    // reward and their fees. Rebuilt on the new tip if a competing block arrives mid-search.
     console.log('Starting mining process...');
-    const nonce = bitcoin.proofOfWork(previousBlockHash, currentBlockData);
-    const blockHash = bitcoin.hashBlock(previousBlockHash, currentBlockData, nonce);
-
-    const nodeAddress = uuidv4().split("-").join("");
-    const newBlock = await bitcoin.createNewBlock(nonce, previousBlockHash, blockHash);
-
-    // Adjust difficulty for next block
-    bitcoin.adjustDifficulty();
+    const mined = await bitcoin.mineNextBlock(bitcoin.minerPayouts);
+    if (!mined) {
+      return res.status(409).json({ error: 'Mining cancelled', message: 'Mining was stopped before a block was found' });
+    }
+    const newBlock = mined.block;
 
     const requestPromises = [];
 
@@ -186,27 +250,6 @@ app.get("/mine", async (req, res) => {
     });
 
     Promise.all(requestPromises)
-      .then(async (data) => {
-        // Create mining reward transaction
-        const rewardTransaction = bitcoin.createNewTransaction(
-          bitcoin.miningReward,
-          "00",
-          nodeAddress
-        );
-
-        await bitcoin.addTransactionToPendingTransactions(rewardTransaction);
-
-        const requestOptions = {
-          uri: bitcoin.currentNodeUrl + "/transaction/broadcast",
-          method: "POST",
-          body: rewardTransaction,
-          json: true,
-        };
-        return rp(requestOptions).catch(err => {
-          console.error('Failed to broadcast reward transaction:', err.message);
-          return null;
-        });
-      })
       .then((data) => {
         res.json({
           note: "New block mined & broadcast successfully",
@@ -304,13 +347,21 @@ app.post("/register-nodes-bulk", (req, res) => {
   res.json({ note: "Bulk registration successful." });
 });
 
-app.post("/transaction/broadcast", (req, res) => {
-  const newTransaction = bitcoin.createNewTransaction(
-    req.body.amount,
-    req.body.sender,
-    req.body.recipient,
-  );
-  bitcoin.addTransactionToPendingTransactions(newTransaction);
+app.post("/transaction/broadcast", requireLocalSigning, async (req, res) => {
+  let newTransaction;
+  try {
+    newTransaction = bitcoin.createNewTransaction(
+      req.body.amount,
+      req.body.sender,
+      req.body.recipient,
+      req.body.fee,
+      req.body.privateKey
+    );
+    await bitcoin.addTransactionToPendingTransactions(newTransaction);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
   const requestPromises = [];
   bitcoin.networkNodes.forEach((networkNodeUrl) => {
     const requestOptions = {
@@ -331,22 +382,24 @@ app.post("/transaction/broadcast", (req, res) => {
     .catch((error) => console.error(error));
 });
 
-app.post("/receive-new-block", (req, res) => {
+app.post("/receive-new-block", async (req, res) => {
   const newBlock = req.body.newBlock;
-  const lastBlock = bitcoin.getLastBlock();
-  const correctHash = lastBlock.hash === newBlock.previousBlockHash;
-  const correctIndex = lastBlock["index"] + 1 === newBlock["index"];
+  // Keyed by the sending address so the orphan pool can limit each peer
+  const result = await bitcoin.acceptBlock(newBlock, `peer ${req.socket.remoteAddress}`);
 
-  if (correctHash && correctIndex) {
-    bitcoin.chain.push(newBlock);
-    bitcoin.pendingTransactions = [];
+  if (result.accepted) {
     res.json({
-      note: "New block received and accepted",
+      note: result.reorg ? `New block accepted after a ${result.reorg.depth}-block reorganization` : "New block received and accepted",
       newBlock: newBlock,
     });
   } else {
+    // We are missing the orphan's ancestors; fetch them from peers in the background
+    if (result.orphan) {
+      bitcoin.syncManager.requestSync('orphan block');
+    }
     res.json({
-      note: "New block rejected",
+      note: result.orphan || result.sideChain ? "New block held, not connected" : "New block rejected",
+      reason: result.reason,
       newBlock,
     });
   }
@@ -407,11 +460,22 @@ app.get("/transaction/:transactionId", (req, res) => {
   return res.json(transactionData);
 });
 
+// Merkle inclusion proof for light clients that only hold block headers
+app.get("/transaction/:transactionId/proof", (req, res) => {
+  const proof = bitcoin.getTransactionProof(req.params.transactionId);
+  if (!proof) {
+    return res.status(404).json({ error: 'Transaction not found in any block' });
+  }
+  res.json(proof);
+});
+
 app.get("/address/:address", (req, res) => {
   const address = req.params.address;
   const addressData = bitcoin.getAddressData(address);
   res.json({
     addressData,
+    nextNonce: bitcoin.getNextNonce(address),
+    chainId: bitcoin.chainId
   });
 });
 
@@ -420,7 +484,7 @@ app.get("/stats", (req, res) => {
 });
 
 // Wallet endpoints
-app.get("/wallet/create", (req, res) => {
+app.get("/wallet/create", requireLocalSigning, (req, res) => {
   try {
     const wallet = bitcoin.createWallet();
     res.json({
@@ -449,7 +513,7 @@ app.get("/ecosystem", (req, res) => {
 });
 
 // Wallet recovery endpoint
-app.post("/api/wallet/recover", (req, res) => {
+app.post("/api/wallet/recover", requireLocalSigning, (req, res) => {
   try {
     const { privateKey } = req.body;
 
@@ -477,10 +541,13 @@ app.get("/network", (req, res) => {
 });
 
 // Mining control endpoints
-app.post("/mining/start", (req, res) => {
+app.post("/mining/start", requireOperator, (req, res) => {
+  if (!bitcoin.minerAddress) {
+    return res.status(400).json({ error: 'No miner address configured', message: 'Set one with --miner-address, MINER_ADDRESS or POST /mining/config' });
+  }
+
   try {
-    if (!bitcoin.autoMining) {
-      bitcoin.autoMining = true;
+    if (!bitcoin.miningInterval) {
       bitcoin.startAutoMining();
       res.json({ message: 'Auto-mining started', status: 'active' });
     } else {
@@ -521,7 +588,7 @@ app.post("/api/rewards/claim", async (req, res) => {
     if (!dailyActivities.includes(activity)) {
       const addressData = bitcoin.getAddressData(address);
       const alreadyClaimed = addressData.addressTransactions.some(tx => 
-        tx.sender === 'ECOSYSTEM' && tx.activityType === activity
+        tx.sender === bitcoin.ecosystemWallet.address && tx.data?.activityType === activity
       );
 
       if (alreadyClaimed) {
@@ -532,8 +599,8 @@ app.post("/api/rewards/claim", async (req, res) => {
       const addressData = bitcoin.getAddressData(address);
       const today = new Date().toDateString();
       const claimedToday = addressData.addressTransactions.some(tx => 
-        tx.sender === 'ECOSYSTEM' && 
-        tx.activityType === activity && 
+        tx.sender === bitcoin.ecosystemWallet.address && 
+        tx.data?.activityType === activity && 
         new Date(tx.timestamp).toDateString() === today
       );
 
@@ -544,18 +611,22 @@ app.post("/api/rewards/claim", async (req, res) => {
       }
     }
 
-    // Create reward transaction
-    const rewardTransaction = {
-      amount: reward.amount,
-      sender: 'ECOSYSTEM',
-      recipient: address,
-      fee: 0,
-      transactionId: uuidv4().split('-').join(''),
-      timestamp: Date.now(),
-      network: bitcoin.networkName,
-      activityType: activity,
-      description: reward.description
-    };
+    if (!bitcoin.isServiceWalletFunded(bitcoin.ecosystemWallet, reward.amount)) {
+      return res.status(503).json({
+        error: 'Ecosystem rewards account has insufficient funds',
+        fundAddress: bitcoin.ecosystemWallet.address
+      });
+    }
+
+    // Create reward transaction signed by the ecosystem account
+    const rewardTransaction = bitcoin.createNewTransaction(
+      reward.amount,
+      bitcoin.ecosystemWallet.address,
+      address,
+      bitcoin.minTransactionFee,
+      bitcoin.ecosystemWallet.privateKey,
+      { activityType: activity, description: reward.description }
+    );
 
     await bitcoin.addTransactionToPendingTransactions(rewardTransaction);
 
@@ -616,7 +687,7 @@ app.post("/api/rewards/auto-claim", async (req, res) => {
 
 
 
-app.post("/mining/stop", (req, res) => {
+app.post("/mining/stop", requireOperator, (req, res) => {
   try {
     bitcoin.autoMining = false;
     bitcoin.stopAutoMining();
@@ -631,15 +702,91 @@ app.get("/mining/status", (req, res) => {
     autoMining: bitcoin.autoMining,
     isMining: bitcoin.isMining,
     minerAddress: bitcoin.minerAddress,
+    minerPayouts: bitcoin.minerPayouts,
     pendingTransactions: bitcoin.pendingTransactions.length,
-    difficulty: bitcoin.difficulty
+    difficulty: bitcoin.difficulty,
+    target: bitcoin.target,
+    currentTemplate: bitcoin.miningJob ? { index: bitcoin.miningJob.index, previousBlockHash: bitcoin.miningJob.previousBlockHash } : null,
+    templatesBuilt: bitcoin.miningStats.templatesBuilt,
+    staleTemplates: bitcoin.miningStats.staleTemplates,
+    lastStaleTemplate: bitcoin.miningStats.lastStaleTemplate,
+    miningWorkers: bitcoin.miningWorkerCount,
+    hashRate: bitcoin.nodeMetrics.hashRate
   });
 });
 
+// Where this node's mining rewards go
+app.get("/mining/config", (req, res) => {
+  res.json(bitcoin.getMinerConfig());
+});
+
+// Set the payout address ({ address }) or a percentage split ({ payouts: [{ address, percent }] }).
+// Operator-only; --miner-address / MINER_ADDRESS remain the usual way to configure payouts.
+app.post("/mining/config", requireOperator, async (req, res) => {
+  const { address, payouts } = req.body;
+  let config;
+  try {
+    config = bitcoin.setMinerPayouts({ address, payouts });
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid payout settings', message: error.message });
+  }
+
+  await bitcoin.saveToDatabase();
+  console.log(`🏠 Mining rewards to: ${config.payouts.map(p => `${p.address} (${p.percent}%)`).join(', ')}`);
+  res.json({ message: 'Miner payout settings updated', ...config });
+});
+
+// Block template for an external miner, with a coinbase paying the caller's address
+app.get("/mining/template", async (req, res) => {
+  const { address } = req.query;
+  if (!bitcoin.isValidAddress(address)) {
+    return res.status(400).json({ error: 'Invalid address', message: 'A valid EKH address is required to receive the coinbase' });
+  }
+
+  try {
+    res.json(await bitcoin.blockTemplate.issueMiningTemplate(address));
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to create block template', message: error.message });
+  }
+});
+
+// Solved nonce for a template from /mining/template
+app.post("/mining/submit", async (req, res) => {
+  const { templateId, nonce } = req.body;
+  if (typeof templateId !== 'string') {
+    return res.status(400).json({ error: 'templateId is required' });
+  }
+
+  try {
+    const result = await bitcoin.blockTemplate.submitSolution(templateId, nonce);
+    if (!result.accepted) {
+      return res.status(400).json({ error: 'Block rejected', message: result.reason, stale: result.stale || false });
+    }
+
+    await bitcoin.broadcastNewBlock(result.block);
+    res.json({
+      accepted: true,
+      block: { index: result.block.index, hash: result.block.hash },
+      reward: bitcoin.getCoinbaseAmount(result.block)
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to submit block', message: error.message });
+  }
+});
+
+// Mining pool workers, hash rates and payouts ({ enabled: false } unless POOL_PORT is set)
+app.get("/api/pool/stats", (req, res) => {
+  try {
+    res.json(bitcoin.pool.getStats());
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get pool stats', message: error.message });
+  }
+});
+
 // Enhanced transaction endpoint with fee support
-app.post("/transaction/send", async (req, res) => {
+app.post("/transaction/send", requireLocalSigning, async (req, res) => {
   try {
-    const { amount, sender, recipient, fee } = req.body;
+    const { amount, sender, recipient, fee, privateKey } = req.body;
 
     if (!bitcoin.isValidAddress(sender) || !bitcoin.isValidAddress(recipient)) {
       return res.status(400).json({ error: 'Invalid wallet address format' });
@@ -649,7 +796,12 @@ app.post("/transaction/send", async (req, res) => {
       return res.status(400).json({ error: 'Amount, sender, and recipient are required' });
     }
 
-    const newTransaction = bitcoin.createNewTransaction(amount, sender, recipient, fee);
+    if (!privateKey) {
+      return res.status(400).json({ error: 'Private key is required to sign the transaction' });
+    }
+
+    // The key is only used to sign here and is never stored or relayed
+    const newTransaction = bitcoin.createNewTransaction(amount, sender, recipient, fee, privateKey);
     const blockIndex = await bitcoin.addTransactionToPendingTransactions(newTransaction);
 
     res.json({
@@ -663,13 +815,22 @@ app.post("/transaction/send", async (req, res) => {
   }
 });
 
-// Mempool endpoint
+// Mempool endpoint; nextBlock shows which pending transactions the next block template would include
 app.get("/mempool", (req, res) => {
+  const template = bitcoin.blockTemplate.build(bitcoin.minerPayouts);
   res.json({
     pendingTransactions: bitcoin.pendingTransactions,
     count: bitcoin.pendingTransactions.length,
     totalValue: bitcoin.pendingTransactions.reduce((total, tx) => total + tx.amount, 0),
-    totalFees: bitcoin.pendingTransactions.reduce((total, tx) => total + (tx.fee || 0), 0)
+    totalFees: bitcoin.pendingTransactions.reduce((total, tx) => total + (tx.fee || 0), 0),
+    nextBlock: {
+      transactionIds: template.selected.map(tx => tx.transactionId),
+      count: template.selected.length,
+      size: template.size,
+      maxSize: bitcoin.maxBlockSize,
+      totalFees: template.totalFees,
+      coinbaseAmount: template.coinbaseAmount
+    }
   });
 });
 
@@ -719,7 +880,7 @@ app.post("/api/mining/clear", (req, res) => {
   res.json({ message: 'Mining intent cleared' });
 });
 
-app.post("/api/mempool/remove", (req, res) => {
+app.post("/api/mempool/remove", requireOperator, (req, res) => {
   const { transactionIds } = req.body;
 
   if (!Array.isArray(transactionIds)) {
@@ -730,6 +891,8 @@ app.post("/api/mempool/remove", (req, res) => {
   bitcoin.pendingTransactions = bitcoin.pendingTransactions.filter(tx => 
     !transactionIds.includes(tx.transactionId)
   );
+  // A sender's later transactions can't be mined without the ones removed, so they go too
+  bitcoin.rebuildMempool();
 
   const removedCount = initialCount - bitcoin.pendingTransactions.length;
 
@@ -757,29 +920,21 @@ app.get("/api/mempool/sync", async (req, res) => {
 // Rich list endpoint (top addresses by balance)
 app.get("/richlist", (req, res) => {
   try {
-    const addresses = new Set();
-
-    // Collect all addresses
-    bitcoin.chain.forEach(block => {
-      block.transactions.forEach(tx => {
-        if (tx.sender !== '00') addresses.add(tx.sender);
-        addresses.add(tx.recipient);
-      });
-    });
-
-    // Calculate balances and sort
-    const addressBalances = Array.from(addresses)
-      .map(address => ({
+    // Balances come straight from the address index
+    const addresses = bitcoin.chainIndex.getAddressSummaries();
+
+    const addressBalances = addresses
+      .filter(data => data.balance > 0)
+      .sort((a, b) => b.balance - a.balance)
+      .slice(0, 50) // Top 50
+      .map(({ address }) => ({
         address,
         ...bitcoin.getAddressData(address)
-      }))
-      .filter(data => data.addressBalance > 0)
-      .sort((a, b) => b.addressBalance - a.addressBalance)
-      .slice(0, 50); // Top 50
+      }));
 
     res.json({
       richList: addressBalances,
-      totalAddresses: addresses.size,
+      totalAddresses: addresses.length,
       token: bitcoin.tokenSymbol
     });
   } catch (error) {
@@ -814,7 +969,7 @@ app.post("/api/ecosystem/claim-reward", async (req, res) => {
     if (activity !== 'daily-checkin') {
       const addressData = bitcoin.getAddressData(address);
       const alreadyClaimed = addressData.addressTransactions.some(tx => 
-        tx.sender === 'ECOSYSTEM' && tx.activity === activity
+        tx.sender === bitcoin.ecosystemWallet.address && tx.data?.activityType === activity
       );
 
       if (alreadyClaimed) {
@@ -825,8 +980,8 @@ app.post("/api/ecosystem/claim-reward", async (req, res) => {
       const addressData = bitcoin.getAddressData(address);
       const today = new Date().toDateString();
       const claimedToday = addressData.addressTransactions.some(tx => 
-        tx.sender === 'ECOSYSTEM' && 
-        tx.activity === activity && 
+        tx.sender === bitcoin.ecosystemWallet.address && 
+        tx.data?.activityType === activity && 
         new Date(tx.timestamp).toDateString() === today
       );
 
@@ -835,17 +990,22 @@ app.post("/api/ecosystem/claim-reward", async (req, res) => {
       }
     }
 
-    // Create ecosystem reward transaction
-    const rewardTransaction = {
-      amount: rewardAmount,
-      sender: 'ECOSYSTEM',
-      recipient: address,
-      fee: 0,
-      transactionId: uuidv4().split('-').join(''),
-      timestamp: Date.now(),
-      network: bitcoin.networkName,
-      activity: activity
-    };
+    if (!bitcoin.isServiceWalletFunded(bitcoin.ecosystemWallet, rewardAmount)) {
+      return res.status(503).json({
+        error: 'Ecosystem rewards account has insufficient funds',
+        fundAddress: bitcoin.ecosystemWallet.address
+      });
+    }
+
+    // Create ecosystem reward transaction signed by the ecosystem account
+    const rewardTransaction = bitcoin.createNewTransaction(
+      rewardAmount,
+      bitcoin.ecosystemWallet.address,
+      address,
+      bitcoin.minTransactionFee,
+      bitcoin.ecosystemWallet.privateKey,
+      { activityType: activity }
+    );
 
     await bitcoin.addTransactionToPendingTransactions(rewardTransaction);
 
@@ -966,7 +1126,7 @@ app.post("/api/node/restart", (req, res) => {
   try {
     bitcoin.stopAllProcesses();
     setTimeout(() => {
-      bitcoin.startAutoMining();
+      if (bitcoin.autoMining) bitcoin.startAutoMining();
       bitcoin.startPeerDiscovery();
       bitcoin.startMetricsCollection();
     }, 1000);
@@ -1074,7 +1234,7 @@ app.post("/api/faucet/request", async (req, res) => {
     // Check if address already received faucet tokens recently
     const addressData = bitcoin.getAddressData(address);
     const recentFaucetTx = addressData.addressTransactions.find(tx => 
-      tx.sender === 'FAUCET' && (Date.now() - tx.timestamp) < 3600000 // 1 hour
+      tx.sender === bitcoin.faucetWallet.address && (Date.now() - tx.timestamp) < 3600000 // 1 hour
     );
 
     if (recentFaucetTx) {
@@ -1086,16 +1246,21 @@ app.post("/api/faucet/request", async (req, res) => {
 
     const faucetAmount = 100; // 100 EKH
 
-    // Create faucet transaction with special sender
-    const faucetTransaction = {
-      amount: faucetAmount,
-      sender: 'FAUCET',
-      recipient: address,
-      fee: 0,
-      transactionId: uuidv4().split('-').join(''),
-      timestamp: Date.now(),
-      network: bitcoin.networkName
-    };
+    if (!bitcoin.isServiceWalletFunded(bitcoin.faucetWallet, faucetAmount)) {
+      return res.status(503).json({
+        error: 'Faucet is empty. Send funds to the faucet account to refill it.',
+        fundAddress: bitcoin.faucetWallet.address
+      });
+    }
+
+    // Create faucet transaction signed by the faucet account
+    const faucetTransaction = bitcoin.createNewTransaction(
+      faucetAmount,
+      bitcoin.faucetWallet.address,
+      address,
+      bitcoin.minTransactionFee,
+      bitcoin.faucetWallet.privateKey
+    );
 
     await bitcoin.addTransactionToPendingTransactions(faucetTransaction);
 
@@ -1124,34 +1289,34 @@ app.post("/api/network/sync", async (req, res) => {
     // Add the node to network if not already present
     await bitcoin.addNetworkNode(nodeUrl);
 
-    // Fetch blockchain from the node
+    // Fetch the node's tip, then only the headers and blocks we are missing
     const requestOptions = {
-      uri: nodeUrl + "/blockchain",
+      uri: nodeUrl + "/chain/tip",
       method: "GET",
       json: true,
       timeout: 10000
     };
 
     try {
-      const response = await rp(requestOptions);
+      const tip = bitcoin.syncManager.parsePeerTip(nodeUrl, await rp(requestOptions));
 
-      if (response && response.chain) {
-        const chainReplaced = await bitcoin.resolveConflicts([response]);
+      if (tip) {
+        const syncResult = await bitcoin.syncManager.syncFromPeer(tip, rp);
 
         res.json({
           success: true,
           nodeAdded: true,
-          chainReplaced,
+          chainReplaced: syncResult.updated,
           networkSize: bitcoin.networkNodes.length,
           localBlocks: bitcoin.chain.length,
-          remoteBlocks: response.chain.length
+          remoteBlocks: tip.height
         });
       } else {
         res.json({
           success: true,
           nodeAdded: true,
           chainReplaced: false,
-          message: 'Node added but no valid blockchain received'
+          message: 'Node added but no valid chain tip received'
         });
       }
     } catch (syncError) {
@@ -1180,14 +1345,14 @@ app.post("/api/network/auto-sync", async (req, res) => {
     for (const nodeUrl of bitcoin.networkNodes) {
       try {
         const requestOptions = {
-          uri: nodeUrl + "/blockchain",
+          uri: nodeUrl + "/chain/tip",
           method: "GET",
           json: true,
           timeout: 5000
         };
 
-        const response = await rp(requestOptions);
-        syncResults.push({ node: nodeUrl, success: true, blocks: response.chain.length });
+        const tip = await rp(requestOptions);
+        syncResults.push({ node: nodeUrl, success: true, blocks: tip.height, tipHash: tip.hash });
       } catch (error) {
         syncResults.push({ node: nodeUrl, success: false, error: error.message });
       }
@@ -1212,23 +1377,43 @@ app.get("/api/docs", (req, res) => {
       blockchain: {
         "GET /": "Welcome message",
         "GET /blockchain": "Get full blockchain",
+        "GET /chain/tip": "Current chain tip height, hash and cumulative work",
+        "GET /headers?start=&count=": "Block headers by height range",
+        "GET /blocks?start=&count=": "Full blocks by height range",
         "GET /stats": "Blockchain statistics",
         "GET /network": "Network information"
       },
       wallet: {
-        "GET /wallet/create": "Create new wallet",
+        "GET /wallet/create": "Create new wallet (only from the node's machine)",
         "GET /wallet/validate/:address": "Validate address",
         "GET /address/:address": "Get address data"
       },
       transactions: {
-        "POST /transaction/send": "Send transaction",
+        "POST /transaction/send": "Sign and send transaction (only from the node's machine)",
+        "POST /transaction": "Submit a pre-signed transaction",
         "GET /transaction/:id": "Get transaction",
-        "GET /mempool": "View pending transactions"
+        "GET /transaction/:id/proof": "Merkle inclusion proof for a confirmed transaction",
+        "GET /mempool": "View pending transactions and the ones the next block would include"
       },
       mining: {
-        "POST /mining/start": "Start auto-mining",
-        "POST /mining/stop": "Stop auto-mining",
-        "GET /mining/status": "Mining status"
+        "POST /mining/start": "Start auto-mining (operator only)",
+        "POST /mining/stop": "Stop auto-mining (operator only)",
+        "GET /mining/template?address=": "Block template for an external miner",
+        "POST /mining/submit": "Submit a solved nonce for a block template",
+        "GET /mining/status": "Mining status",
+        "GET /mining/config": "Where this node's mining rewards are paid",
+        "POST /mining/config": "Set the payout address or a percentage split (operator only)",
+        "GET /api/pool/stats": "Mining pool workers, hash rates and pending payouts"
+      },
+      contracts: {
+        "GET /api/contracts/all": "Deployed contracts",
+        "GET /api/contracts/templates": "Contract templates",
+        "POST /api/contracts/deploy": "Sign and submit a contract deployment (only from the node's machine)",
+        "POST /api/contracts/execute": "Sign and submit a contract call (only from the node's machine)",
+        "GET /api/contracts/receipt/:transactionId": "Outcome of a mined deployment or call",
+        "GET /api/contracts/:id": "Contract state and events",
+        "GET /api/contracts/:id/proof?height=N": "Merkle proof of a contract's state against the state root at a height",
+        "POST /api/contracts/:id/call": "Read-only call at the tip or a past height; no transaction or fee"
       },
       testnet: {
         "POST /api/faucet/request": "Request testnet tokens",
@@ -1239,9 +1424,166 @@ app.get("/api/docs", (req, res) => {
   });
 });
 
+// Smart contracts. Deployments and calls are signed with the sender's private key
+// (used only to sign, never stored) and take effect once mined; poll
+// /api/contracts/receipt/:transactionId for the outcome.
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+app.get("/api/contracts/all", (req, res) => {
+  try {
+    const contracts = bitcoin.getAllContracts();
+    res.json({ contracts, count: contracts.length });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get contracts', message: error.message });
+  }
+});
+
+app.get("/api/contracts/templates", (req, res) => {
+  res.json({ templates: bitcoin.getContractTemplates() });
+});
+
+app.post("/api/contracts/deploy", requireLocalSigning, async (req, res) => {
+  const { code, creator, privateKey, initialData = {}, fee } = req.body;
+
+  if (!bitcoin.isValidAddress(creator) || creator === '00') {
+    return res.status(400).json({ error: 'Invalid creator address' });
+  }
+  if (typeof code !== 'string' || code.trim().length === 0) {
+    return res.status(400).json({ error: 'Contract code is required' });
+  }
+  if (!isPlainObject(initialData)) {
+    return res.status(400).json({ error: 'initialData must be a JSON object' });
+  }
+  if (!privateKey) {
+    return res.status(400).json({ error: 'Private key is required to sign the deployment' });
+  }
+
+  try {
+    const { contractId, transaction } = await bitcoin.deployContract(code, creator, privateKey, initialData, fee);
+    res.json({
+      success: true,
+      contractId,
+      transaction,
+      note: `Contract ${contractId} will exist once block ${bitcoin.getLastBlock().index + 1} is mined`
+    });
+  } catch (error) {
+    res.status(400).json({ error: 'Contract deployment rejected', message: error.message });
+  }
+});
+
+app.post("/api/contracts/execute", requireLocalSigning, async (req, res) => {
+  const { contractId, method, params = [], caller, privateKey, value = 0, gasLimit, fee } = req.body;
+
+  if (typeof contractId !== 'string' || typeof method !== 'string' || method.length === 0) {
+    return res.status(400).json({ error: 'contractId and method are required' });
+  }
+  if (!Array.isArray(params)) {
+    return res.status(400).json({ error: 'params must be a JSON array' });
+  }
+  if (!bitcoin.isValidAddress(caller) || caller === '00') {
+    return res.status(400).json({ error: 'Invalid caller address' });
+  }
+  if (typeof value !== 'number' || !(value >= 0)) {
+    return res.status(400).json({ error: 'value must be a non-negative number' });
+  }
+  if (gasLimit !== undefined && !Number.isSafeInteger(gasLimit)) {
+    return res.status(400).json({ error: 'gasLimit must be an integer' });
+  }
+  if (!privateKey) {
+    return res.status(400).json({ error: 'Private key is required to sign the call' });
+  }
+
+  try {
+    const { transaction } = await bitcoin.executeContract(contractId, method, params, caller, privateKey, value, gasLimit, fee);
+    res.json({
+      success: true,
+      contractId,
+      transaction,
+      note: `The call executes when block ${bitcoin.getLastBlock().index + 1} is mined`
+    });
+  } catch (error) {
+    res.status(400).json({ error: 'Contract call rejected', message: error.message });
+  }
+});
+
+// Outcome of a mined deployment or call: success, result or error, gasUsed and events
+app.get("/api/contracts/receipt/:transactionId", (req, res) => {
+  const receipt = bitcoin.getContractReceipt(req.params.transactionId);
+  if (!receipt) {
+    const pending = bitcoin.pendingTransactions.some(tx => tx.transactionId === req.params.transactionId);
+    return res.status(404).json({ error: pending ? 'Transaction is not mined yet' : 'Contract transaction not found', pending });
+  }
+  res.json({ receipt });
+});
+
+// Merkle proof of a contract's state against the contract state root at ?height (default: tip)
+app.get("/api/contracts/:id/proof", (req, res) => {
+  const height = req.query.height === undefined ? bitcoin.chain.length : Number(req.query.height);
+  let proof;
+  try {
+    proof = bitcoin.getContractStateProof(req.params.id, height);
+  } catch (error) {
+    return res.status(400).json({ error: 'Cannot build contract state proof', message: error.message });
+  }
+  if (!proof) {
+    return res.status(404).json({ error: `Contract not found at height ${height}` });
+  }
+  res.json(proof);
+});
+
+// Read-only call: evaluated against a copy of the contract's state at the tip or at
+// body.height. Nothing is signed or mined and no fee is charged.
+app.post("/api/contracts/:id/call", async (req, res) => {
+  const { method, params = [], caller = null, gasLimit, height } = req.body;
+
+  if (typeof method !== 'string' || method.length === 0) {
+    return res.status(400).json({ error: 'method is required' });
+  }
+  if (!Array.isArray(params)) {
+    return res.status(400).json({ error: 'params must be a JSON array' });
+  }
+  if (caller !== null && (!bitcoin.isValidAddress(caller) || caller === '00')) {
+    return res.status(400).json({ error: 'Invalid caller address' });
+  }
+  if (gasLimit !== undefined && !Number.isSafeInteger(gasLimit)) {
+    return res.status(400).json({ error: 'gasLimit must be an integer' });
+  }
+  if (height !== undefined && !Number.isSafeInteger(height)) {
+    return res.status(400).json({ error: 'height must be an integer' });
+  }
+  if (!bitcoin.getContract(req.params.id)) {
+    return res.status(404).json({ error: 'Contract not found' });
+  }
+
+  let outcome;
+  try {
+    outcome = await bitcoin.callContract(req.params.id, method, params, { caller, gasLimit, height });
+  } catch (error) {
+    return res.status(400).json({ error: 'View call rejected', message: error.message });
+  }
+  if (!outcome.success) {
+    return res.status(400).json({ ...outcome, error: 'View call failed', message: outcome.error });
+  }
+  res.json(outcome);
+});
+
+app.get("/api/contracts/:id", (req, res) => {
+  const contract = bitcoin.getContract(req.params.id);
+  if (!contract) {
+    return res.status(404).json({ error: 'Contract not found' });
+  }
+  res.json({ contract, events: bitcoin.getContractEvents(req.params.id, req.query.event || null) });
+});
+
 // Serve static files for contracts page
 app.use('/contracts', express.static(path.join(__dirname, 'contracts')));
 
+// Browser wallet module used by the pages to create keys and sign transactions, and
+// the secp256k1 and SHA-256 libraries it imports
+app.use('/client/vendor/secp256k1', express.static(path.join(__dirname, 'node_modules', '@noble', 'secp256k1')));
+app.use('/client/vendor/hashes', express.static(path.join(__dirname, 'node_modules', '@noble', 'hashes')));
+app.use('/client', express.static(path.join(__dirname, 'client')));
+
 // Route to serve the contracts page
 app.get("/contracts", (req, res) => {
     res.sendFile(path.join(__dirname, 'contracts', 'index.html'));
@@ -1440,6 +1782,14 @@ app.get("/api/network/health", async (req, res) => {
         updates: bitcoin.consensusUpdates || [],
         lastSync: bitcoin.syncManager?.lastSyncAttempt || 0
       },
+      sync: bitcoin.syncManager.getSyncStatus(),
+      chain: {
+        height: bitcoin.chain.length,
+        tip: bitcoin.getLastBlock()?.hash,
+        ...bitcoin.blockPool.getStats(),
+        reorgCount: bitcoin.reorgCount,
+        lastReorg: bitcoin.lastReorg
+      },
       mining: {
         announcements: bitcoin.miningAnnouncements ? 
           Array.from(bitcoin.miningAnnouncements.entries()).map(([url, data]) => ({
@@ -1481,11 +1831,12 @@ app.listen(port, '0.0.0.0', () => {
   console.log(`🔧 Debug: ${publicUrl}/api/debug/peers`);
   console.log('');
   console.log(`⛏️  Auto-mining: ${bitcoin.autoMining ? '✅ ACTIVE' : '❌ DISABLED'}`);
+  console.log(`👷 Mining pool: ${bitcoin.pool.server ? `✅ PORT ${bitcoin.pool.port}` : '❌ DISABLED'}`);
   console.log(`🔗 Peer discovery: ✅ ACTIVE`);
   console.log(`💰 Faucet: ✅ AVAILABLE`);
   console.log(`🪙 Token: ${bitcoin.tokenName} (${bitcoin.tokenSymbol})`);
   console.log(`📦 Blocks: ${bitcoin.chain.length}`);
-  console.log(`🏠 Miner: ${bitcoin.minerAddress}`);
+  console.log(`🏠 Miner: ${bitcoin.minerAddress || 'Not configured'}`);
   console.log(`🌐 Node URL: ${bitcoin.currentNodeUrl || 'Not set'}`);
   console.log('');
   console.log('🔒 To connect peers, add this URL to discoverySeeds:');
@@ -0,0 +1,79 @@
+import sha256 from 'sha256';
+
+// Root used for blocks that carry no transactions (e.g. genesis)
+export const EMPTY_MERKLE_ROOT = '0'.repeat(64);
+
+const LEAF_PREFIX = Buffer.from([0x00]);
+const NODE_PREFIX = Buffer.from([0x01]);
+
+export class MerkleTree {
+  // leaves are leaf hashes (see hashLeaf)
+  constructor(leaves) {
+    this.leaves = leaves;
+    this.levels = this.buildLevels(leaves);
+  }
+
+  // Build every level bottom-up; an odd node at the end of a level is paired with itself
+  buildLevels(leaves) {
+    if (leaves.length === 0) return [];
+
+    const levels = [leaves];
+    while (levels[levels.length - 1].length > 1) {
+      const level = levels[levels.length - 1];
+      const nextLevel = [];
+      for (let i = 0; i < level.length; i += 2) {
+        const left = level[i];
+        const right = i + 1 < level.length ? level[i + 1] : left;
+        nextLevel.push(MerkleTree.hashPair(left, right));
+      }
+      levels.push(nextLevel);
+    }
+    return levels;
+  }
+
+  getRoot() {
+    if (this.levels.length === 0) return EMPTY_MERKLE_ROOT;
+    return this.levels[this.levels.length - 1][0];
+  }
+
+  // Sibling hashes from the leaf up to (but excluding) the root
+  getProof(index) {
+    if (index < 0 || index >= this.leaves.length) {
+      throw new Error('Leaf index out of range');
+    }
+
+    const branch = [];
+    let position = index;
+    for (let depth = 0; depth < this.levels.length - 1; depth++) {
+      const level = this.levels[depth];
+      const isRightNode = position % 2 === 1;
+      const siblingIndex = isRightNode ? position - 1 : position + 1;
+      branch.push({
+        hash: siblingIndex < level.length ? level[siblingIndex] : level[position],
+        position: isRightNode ? 'left' : 'right'
+      });
+      position = Math.floor(position / 2);
+    }
+    return branch;
+  }
+
+  // Leaves and inner nodes hash under different prefixes (0x00 and 0x01), so an inner
+  // node can never be passed off as a leaf. Leaves hash their data as UTF-8; inner
+  // nodes hash the raw 32 bytes of each child.
+  static hashLeaf(data) {
+    return sha256(Buffer.concat([LEAF_PREFIX, Buffer.from(data, 'utf8')]));
+  }
+
+  static hashPair(left, right) {
+    return sha256(Buffer.concat([NODE_PREFIX, Buffer.from(left, 'hex'), Buffer.from(right, 'hex')]));
+  }
+
+  static verifyProof(leaf, branch, root) {
+    const computedRoot = branch.reduce((hash, sibling) => {
+      return sibling.position === 'left'
+        ? MerkleTree.hashPair(sibling.hash, hash)
+        : MerkleTree.hashPair(hash, sibling.hash);
+    }, leaf);
+    return computedRoot === root;
+  }
+}
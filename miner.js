@@ -0,0 +1,92 @@
+import { Worker } from 'worker_threads';
+
+export class Miner {
+  constructor(blockchain) {
+    this.blockchain = blockchain;
+    this.workers = [];
+    this.currentSearch = null;
+    this.lastHashRate = 0;
+  }
+
+  get isSearching() {
+    return this.currentSearch !== null;
+  }
+
+  // Search for a nonce across worker threads so the event loop stays free.
+  // Resolves with { nonce, hash, hashes, elapsed } or null if cancelled.
+  mine(previousBlockHash, currentBlockData) {
+    if (this.currentSearch) {
+      throw new Error('A nonce search is already in progress');
+    }
+
+    const workerCount = Math.max(1, this.blockchain.miningWorkerCount);
+    const workerData = {
+      previousBlockHash,
+      headerAsString: this.blockchain.serializeBlockHeader(currentBlockData),
+      target: currentBlockData.target,
+      step: workerCount
+    };
+
+    return new Promise((resolve, reject) => {
+      const startTime = Date.now();
+      let totalHashes = 0;
+
+      const finish = (result, error = null) => {
+        if (!this.currentSearch) return;
+        this.currentSearch = null;
+        this.terminateWorkers();
+
+        const elapsed = Date.now() - startTime;
+        this.updateHashRate(totalHashes, elapsed);
+
+        if (error) {
+          reject(error);
+        } else {
+          resolve(result ? { ...result, hashes: totalHashes, elapsed } : null);
+        }
+      };
+
+      this.currentSearch = { startTime, cancel: () => finish(null) };
+
+      for (let i = 0; i < workerCount; i++) {
+        const worker = new Worker(new URL('./pow-worker.js', import.meta.url), {
+          workerData: { ...workerData, startNonce: i }
+        });
+
+        worker.on('message', (message) => {
+          if (message.type === 'progress') {
+            totalHashes += message.hashes;
+            this.updateHashRate(totalHashes, Date.now() - startTime);
+          } else if (message.type === 'found') {
+            totalHashes += message.hashes;
+            finish({ nonce: message.nonce, hash: message.hash });
+          }
+        });
+        worker.on('error', (error) => finish(null, error));
+
+        this.workers.push(worker);
+      }
+    });
+  }
+
+  // Abandon the current search, e.g. when a competing block extends the tip
+  cancel() {
+    if (!this.currentSearch) return false;
+    console.log('🛑 Cancelling nonce search');
+    this.currentSearch.cancel();
+    return true;
+  }
+
+  terminateWorkers() {
+    for (const worker of this.workers) {
+      worker.terminate().catch(() => {});
+    }
+    this.workers = [];
+  }
+
+  updateHashRate(hashes, elapsed) {
+    if (elapsed <= 0) return;
+    this.lastHashRate = hashes / (elapsed / 1000); // Hashes per second
+    this.blockchain.nodeMetrics.hashRate = this.lastHashRate;
+  }
+}
@@ -0,0 +1,467 @@
+import net from 'net';
+import crypto from 'crypto';
+import { Retarget } from './retarget.js';
+import { ForkChoice } from './fork-choice.js';
+
+// Optional mining pool, started when POOL_PORT is set. Workers connect over TCP
+// and exchange newline-delimited JSON in the style of Stratum:
+//   -> { id, method: 'mining.subscribe', params: [] }
+//   -> { id, method: 'mining.authorize', params: [payoutAddress, workerName] }
+//   <- { id: null, method: 'mining.notify', params: [job, cleanJobs] }
+//   -> { id, method: 'mining.submit', params: [jobId, nonce] }
+// A job is a block template whose coinbase pays the pool account. A share is a
+// nonce whose hash meets the easier share target; a share that also meets the
+// block target is submitted as a block. Block rewards, less the pool fee, are split
+// PPLNS over the last pplnsWindow shares (weighted by share work) and paid out as
+// ordinary transactions from the pool account once the block is buried
+// payoutConfirmations deep.
+const POOL_STATE_KEY = 'poolState';
+
+export class MiningPool {
+  constructor(blockchain) {
+    this.blockchain = blockchain;
+    this.server = null;
+    this.port = null;
+    this.shareDifficulty = parseInt(process.env.POOL_SHARE_DIFFICULTY, 10) || 3;
+    this.feePercent = 1;
+    this.pplnsWindow = 1000; // shares the reward of a found block is split over
+    this.payoutConfirmations = 3; // blocks on top of a found block before its reward is credited
+    this.minPayout = 1; // EKH owed before a payout transaction is sent
+    this.hashRateWindow = 10 * 60 * 1000;
+    this.jobRefreshInterval = 30 * 1000; // new job (picking up new transactions) even if the tip hasn't moved
+    this.maxLineLength = 16 * 1024;
+
+    this.connections = new Set();
+    this.jobs = new Map(); // jobId -> job, only for the current tip
+    this.currentJob = null;
+    this.jobTimer = null;
+    this.onTip = () => this.tick().catch(error => console.error('Mining pool error:', error.message));
+    this.lastTipHash = null; // tip found blocks were last checked against
+    this.updatingBlocks = false;
+    this.workers = new Map(); // payout address -> share statistics
+    this.shares = []; // PPLNS window: [{ address, work }]
+    this.blocksFound = []; // [{ height, hash, reward, credits, status, foundBy, foundAt }]
+    this.balances = new Map(); // payout address -> confirmed EKH not yet paid
+    this.payouts = []; // recent payout transactions
+    this.totalPaid = 0;
+  }
+
+  get wallet() {
+    return this.blockchain.poolWallet;
+  }
+
+  async start(port) {
+    if (this.server) return;
+
+    await this.loadState();
+    this.port = port;
+    this.server = net.createServer(socket => this.handleConnection(socket));
+    this.server.on('error', error => console.error('Mining pool server error:', error.message));
+    this.server.listen(port, '0.0.0.0', () => {
+      console.log(`⛏️ Mining pool listening on port ${port} (share difficulty ${this.shareDifficulty}, account ${this.wallet.address})`);
+    });
+
+    // New jobs go out as soon as the tip moves, and periodically to pick up new transactions
+    this.refreshJob().catch(error => console.error('Mining pool error:', error.message));
+    this.blockchain.on('tip', this.onTip);
+    this.jobTimer = setInterval(() => {
+      this.refreshJob().catch(error => console.error('Mining pool error:', error.message));
+    }, this.jobRefreshInterval);
+  }
+
+  stop() {
+    if (!this.server) return;
+    clearInterval(this.jobTimer);
+    this.jobTimer = null;
+    this.blockchain.off('tip', this.onTip);
+    this.connections.forEach(connection => connection.socket.destroy());
+    this.server.close();
+    this.server = null;
+    console.log('Mining pool stopped');
+  }
+
+  async tick() {
+    const tip = this.blockchain.getLastBlock();
+    if (!this.currentJob || this.currentJob.previousBlockHash !== tip.hash) {
+      await this.refreshJob();
+    }
+    // Payouts await the mempool, so a slow tick must not overlap the next one
+    if (this.lastTipHash !== tip.hash && !this.updatingBlocks) {
+      this.lastTipHash = tip.hash;
+      this.updatingBlocks = true;
+      try {
+        await this.updateFoundBlocks();
+      } finally {
+        this.updatingBlocks = false;
+      }
+    }
+  }
+
+  // Build a job from a fresh block template and send it to every authorized worker.
+  // Jobs on an old tip are dropped, so their shares are rejected as stale.
+  async refreshJob() {
+    const blockchain = this.blockchain;
+    const template = await blockchain.blockTemplate.createMiningTemplate(this.wallet.address);
+    // A newer tip arrived while the template was prepared; its own refresh follows
+    if (template.previousBlockHash !== blockchain.getLastBlock().hash) return this.currentJob;
+    // Templates are reused for a few seconds; the current job already has this one
+    if (template.templateId === this.currentJob?.jobId) return this.currentJob;
+
+    // The share target is never harder than the block target
+    const shareTarget = Retarget.difficultyToTarget(this.shareDifficulty);
+    const target = Retarget.parseTarget(shareTarget) > Retarget.parseTarget(template.target) ? shareTarget : template.target;
+
+    const cleanJobs = this.currentJob?.previousBlockHash !== template.previousBlockHash;
+    if (cleanJobs) this.jobs.clear();
+
+    const job = {
+      jobId: template.templateId,
+      previousBlockHash: template.previousBlockHash,
+      index: template.index,
+      serializedHeader: template.serializedHeader,
+      target,
+      blockTarget: template.target,
+      template,
+      work: Number(ForkChoice.workForTarget(Retarget.parseTarget(target))),
+      submittedNonces: new Set()
+    };
+    this.jobs.set(job.jobId, job);
+    this.currentJob = job;
+
+    for (const connection of this.connections) {
+      if (connection.address) this.sendJob(connection, cleanJobs);
+    }
+    return job;
+  }
+
+  sendJob(connection, cleanJobs) {
+    const { jobId, previousBlockHash, index, serializedHeader, target, blockTarget } = this.currentJob;
+    this.send(connection, {
+      id: null,
+      method: 'mining.notify',
+      params: [{ jobId, previousBlockHash, index, serializedHeader, target, blockTarget }, cleanJobs]
+    });
+  }
+
+  handleConnection(socket) {
+    const connection = { socket, sessionId: crypto.randomBytes(4).toString('hex'), address: null, workerName: null, buffer: '' };
+    this.connections.add(connection);
+    socket.setEncoding('utf8');
+
+    socket.on('data', (chunk) => {
+      connection.buffer += chunk;
+      let newline;
+      while ((newline = connection.buffer.indexOf('\n')) !== -1) {
+        const line = connection.buffer.slice(0, newline).trim();
+        connection.buffer = connection.buffer.slice(newline + 1);
+        if (line) this.handleMessage(connection, line);
+      }
+      if (connection.buffer.length > this.maxLineLength) {
+        socket.destroy();
+      }
+    });
+    socket.on('close', () => this.connections.delete(connection));
+    socket.on('error', () => this.connections.delete(connection));
+  }
+
+  async handleMessage(connection, line) {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      this.send(connection, { id: null, result: null, error: { message: 'Invalid JSON' } });
+      return;
+    }
+
+    const { id = null, method, params = [] } = message;
+    try {
+      let result;
+      switch (method) {
+        case 'mining.subscribe':
+          result = { sessionId: connection.sessionId };
+          break;
+        case 'mining.authorize':
+          result = this.authorize(connection, params[0], params[1]);
+          break;
+        case 'mining.submit':
+          result = await this.submitShare(connection, params[0], params[1]);
+          break;
+        default:
+          throw new Error(`Unknown method ${method}`);
+      }
+      this.send(connection, { id, result, error: null });
+
+      // A newly authorized worker gets the current job straight after the reply
+      if (method === 'mining.authorize') this.sendJob(connection, true);
+    } catch (error) {
+      this.send(connection, { id, result: null, error: { message: error.message } });
+    }
+  }
+
+  send(connection, message) {
+    if (!connection.socket.destroyed) {
+      connection.socket.write(JSON.stringify(message) + '\n');
+    }
+  }
+
+  authorize(connection, address, workerName) {
+    if (!this.blockchain.isValidAddress(address) || address === '00' || address === this.wallet.address) {
+      throw new Error('A valid EKH payout address is required');
+    }
+    connection.address = address;
+    connection.workerName = typeof workerName === 'string' ? workerName.slice(0, 64) : 'default';
+
+    const worker = this.getWorker(address);
+    worker.names.add(connection.workerName);
+    console.log(`👷 Pool worker ${address.substring(0, 16)}.../${connection.workerName} authorized`);
+    return true;
+  }
+
+  getWorker(address) {
+    if (!this.workers.has(address)) {
+      this.workers.set(address, {
+        address,
+        names: new Set(),
+        validShares: 0,
+        staleShares: 0,
+        invalidShares: 0,
+        recentShares: [], // [{ work, timestamp }] within hashRateWindow
+        lastShareAt: null
+      });
+    }
+    return this.workers.get(address);
+  }
+
+  async submitShare(connection, jobId, nonce) {
+    if (!connection.address) throw new Error('Worker is not authorized');
+    const worker = this.getWorker(connection.address);
+
+    const job = this.jobs.get(jobId);
+    if (!job) {
+      worker.staleShares++;
+      throw new Error('Stale job');
+    }
+    if (!Number.isSafeInteger(nonce) || nonce < 0 || job.submittedNonces.has(nonce)) {
+      worker.invalidShares++;
+      throw new Error('Invalid or duplicate nonce');
+    }
+
+    const hash = this.blockchain.hashBlock(job.previousBlockHash, job.template, nonce);
+    if (!Retarget.meetsTarget(hash, job.target)) {
+      worker.invalidShares++;
+      throw new Error('Share does not meet the share target');
+    }
+
+    job.submittedNonces.add(nonce);
+    this.recordShare(worker, job.work);
+
+    if (Retarget.meetsTarget(hash, job.blockTarget)) {
+      await this.submitBlock(job, nonce, connection.address);
+    }
+    return true;
+  }
+
+  recordShare(worker, work) {
+    const now = Date.now();
+    worker.validShares++;
+    worker.lastShareAt = now;
+    worker.recentShares.push({ work, timestamp: now });
+    while (worker.recentShares[0].timestamp < now - this.hashRateWindow) {
+      worker.recentShares.shift();
+    }
+
+    this.shares.push({ address: worker.address, work });
+    if (this.shares.length > this.pplnsWindow) this.shares.shift();
+  }
+
+  async submitBlock(job, nonce, foundBy) {
+    const result = await this.blockchain.blockTemplate.submitTemplate(job.template, nonce, 'mining pool');
+    if (!result.accepted) {
+      console.log(`❌ Pool block #${job.index} rejected: ${result.reason}`);
+      return;
+    }
+
+    const block = result.block;
+    const reward = this.blockchain.getCoinbaseAmount(block);
+    this.blocksFound.push({
+      height: block.index,
+      hash: block.hash,
+      reward,
+      credits: this.splitReward(reward),
+      status: 'immature',
+      foundBy,
+      foundAt: Date.now()
+    });
+    if (this.blocksFound.length > 100) this.blocksFound.shift();
+
+    console.log(`🎉 Pool found block #${block.index}: ${reward} ${this.blockchain.tokenSymbol} split over ${this.shares.length} shares`);
+    await this.saveState();
+    this.blockchain.broadcastNewBlock(block).catch(error => console.log(`Failed to broadcast pool block: ${error.message}`));
+  }
+
+  // PPLNS: the reward after the pool fee, in proportion to each address's work in the window.
+  // Amounts are rounded down to 1e-8 EKH so the pool never owes more than it received.
+  splitReward(reward) {
+    const distributable = reward * (1 - this.feePercent / 100);
+    const workByAddress = new Map();
+    let totalWork = 0;
+    for (const { address, work } of this.shares) {
+      workByAddress.set(address, (workByAddress.get(address) || 0) + work);
+      totalWork += work;
+    }
+
+    const credits = {};
+    for (const [address, work] of workByAddress) {
+      credits[address] = Math.floor((distributable * work / totalWork) * 1e8) / 1e8;
+    }
+    return credits;
+  }
+
+  // Credit blocks that are buried deep enough, forget ones a reorganization removed,
+  // then pay out balances that reached minPayout
+  async updateFoundBlocks() {
+    const blockchain = this.blockchain;
+    let changed = false;
+
+    for (const found of this.blocksFound) {
+      if (found.status !== 'immature') continue;
+
+      const height = blockchain.chainIndex.getHeight(found.hash);
+      if (height === undefined) {
+        found.status = 'orphaned';
+        changed = true;
+        console.log(`⚠️ Pool block #${found.height} was orphaned; its reward is void`);
+      } else if (blockchain.chain.length - height >= this.payoutConfirmations) {
+        found.status = 'confirmed';
+        changed = true;
+        for (const [address, amount] of Object.entries(found.credits)) {
+          this.balances.set(address, (this.balances.get(address) || 0) + amount);
+        }
+      }
+    }
+
+    if (await this.processPayouts() || changed) {
+      await this.saveState();
+    }
+  }
+
+  async processPayouts() {
+    const blockchain = this.blockchain;
+    let paid = false;
+
+    for (const [address, balance] of this.balances) {
+      const amount = Math.floor(balance * 1e8) / 1e8;
+      if (amount < this.minPayout) continue;
+      if (!blockchain.isServiceWalletFunded(this.wallet, amount)) {
+        console.log(`⚠️ Pool account cannot cover a ${amount} ${blockchain.tokenSymbol} payout yet`);
+        break;
+      }
+
+      try {
+        const transaction = blockchain.createNewTransaction(
+          amount,
+          this.wallet.address,
+          address,
+          blockchain.minTransactionFee,
+          this.wallet.privateKey,
+          { activityType: 'pool_payout' }
+        );
+        await blockchain.addTransactionToPendingTransactions(transaction);
+
+        this.balances.set(address, balance - amount);
+        this.totalPaid = Number((this.totalPaid + amount).toFixed(8));
+        this.payouts.push({ address, amount, transactionId: transaction.transactionId, timestamp: Date.now() });
+        if (this.payouts.length > 100) this.payouts.shift();
+        paid = true;
+        console.log(`💸 Pool paid ${amount} ${blockchain.tokenSymbol} to ${address.substring(0, 16)}...`);
+      } catch (error) {
+        console.log(`Pool payout to ${address} failed: ${error.message}`);
+      }
+    }
+    return paid;
+  }
+
+  async loadState() {
+    const state = await this.blockchain.chainStore.getOptional(POOL_STATE_KEY);
+    if (!state) return;
+    this.balances = new Map(state.balances || []);
+    this.blocksFound = state.blocksFound || [];
+    this.payouts = state.payouts || [];
+    this.totalPaid = state.totalPaid || 0;
+  }
+
+  async saveState() {
+    try {
+      await this.blockchain.db.put(POOL_STATE_KEY, {
+        balances: Array.from(this.balances),
+        blocksFound: this.blocksFound,
+        payouts: this.payouts,
+        totalPaid: this.totalPaid
+      });
+    } catch (error) {
+      console.log('Failed to save pool state:', error.message);
+    }
+  }
+
+  getWorkerHashRate(worker) {
+    const since = Date.now() - this.hashRateWindow;
+    const work = worker.recentShares
+      .filter(share => share.timestamp >= since)
+      .reduce((total, share) => total + share.work, 0);
+    return work / (this.hashRateWindow / 1000);
+  }
+
+  getStats() {
+    const immatureByAddress = new Map();
+    for (const found of this.blocksFound) {
+      if (found.status !== 'immature') continue;
+      for (const [address, amount] of Object.entries(found.credits)) {
+        immatureByAddress.set(address, (immatureByAddress.get(address) || 0) + amount);
+      }
+    }
+
+    const connectionsByAddress = new Map();
+    for (const connection of this.connections) {
+      if (connection.address) {
+        connectionsByAddress.set(connection.address, (connectionsByAddress.get(connection.address) || 0) + 1);
+      }
+    }
+
+    const workers = Array.from(this.workers.values(), worker => ({
+      address: worker.address,
+      workerNames: Array.from(worker.names),
+      connections: connectionsByAddress.get(worker.address) || 0,
+      validShares: worker.validShares,
+      staleShares: worker.staleShares,
+      invalidShares: worker.invalidShares,
+      hashRate: this.getWorkerHashRate(worker),
+      lastShareAt: worker.lastShareAt,
+      pendingPayout: Math.round((this.balances.get(worker.address) || 0) * 1e8) / 1e8,
+      immatureReward: Math.round((immatureByAddress.get(worker.address) || 0) * 1e8) / 1e8
+    }));
+
+    const sum = (values) => Math.round(values.reduce((total, value) => total + value, 0) * 1e8) / 1e8;
+    return {
+      enabled: this.server !== null,
+      port: this.port,
+      poolAddress: this.wallet?.address,
+      payoutScheme: 'PPLNS',
+      pplnsWindow: this.pplnsWindow,
+      feePercent: this.feePercent,
+      minPayout: this.minPayout,
+      payoutConfirmations: this.payoutConfirmations,
+      shareDifficulty: this.shareDifficulty,
+      blockDifficulty: this.blockchain.difficulty,
+      connectedWorkers: sum(Array.from(connectionsByAddress.values())),
+      poolHashRate: sum(workers.map(worker => worker.hashRate)),
+      workers,
+      pendingPayouts: {
+        confirmed: sum(Array.from(this.balances.values())),
+        immature: sum(Array.from(immatureByAddress.values()))
+      },
+      blocksFound: this.blocksFound.slice(-20),
+      totalPaid: this.totalPaid,
+      recentPayouts: this.payouts.slice(-20)
+    };
+  }
+}
@@ -0,0 +1,31 @@
+import { parentPort, workerData } from 'worker_threads';
+import crypto from 'crypto';
+
+// Nonce search for one slice of the nonce space: this worker tries
+// startNonce, startNonce + step, startNonce + 2 * step, ...
+const { previousBlockHash, headerAsString, target, startNonce, step } = workerData;
+const progressInterval = 20000; // Report hashes to the main thread this often
+
+let nonce = startNonce;
+let hashes = 0;
+
+while (true) {
+  const hash = crypto
+    .createHash('sha256')
+    .update(previousBlockHash + nonce.toString() + headerAsString)
+    .digest('hex');
+  hashes++;
+
+  // Both are 64 lowercase hex digits, so string order is numeric order
+  if (hash <= target) {
+    // Only the hashes not yet covered by a progress report
+    parentPort.postMessage({ type: 'found', nonce, hash, hashes: hashes % progressInterval });
+    break;
+  }
+
+  if (hashes % progressInterval === 0) {
+    parentPort.postMessage({ type: 'progress', hashes: progressInterval });
+  }
+
+  nonce += step;
+}
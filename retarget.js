@@ -0,0 +1,76 @@
+// Consensus difficulty. Every block header commits to a 256-bit target (64 hex
+// characters) and the block hash, read as a number, must not exceed it.
+// The target for the next block is the average target of the last
+// `difficultyWindow` blocks, scaled by how long those blocks actually took
+// compared to targetBlockTime. It depends only on chain history, so every node
+// expects the same value.
+//
+// `difficulty` is the human-readable form: log16 of the expected hashes per block,
+// so difficulty 4 is the old "four leading zero hex digits".
+const HASH_SPACE = 1n << 256n;
+const TARGET_PATTERN = /^[0-9a-f]{64}$/;
+
+export class Retarget {
+  constructor(blockchain) {
+    this.blockchain = blockchain;
+    this.maxAdjustment = 4n; // the measured timespan is clamped to [expected / 4, expected * 4]
+  }
+
+  // Target for a whole-number difficulty
+  static difficultyToTarget(difficulty) {
+    return Retarget.formatTarget((HASH_SPACE >> BigInt(4 * difficulty)) - 1n);
+  }
+
+  static targetToDifficulty(target) {
+    const work = HASH_SPACE / (Retarget.parseTarget(target) + 1n);
+    return Number((Math.log2(Number(work)) / 4).toFixed(4));
+  }
+
+  static parseTarget(target) {
+    return typeof target === 'string' && TARGET_PATTERN.test(target) ? BigInt(`0x${target}`) : null;
+  }
+
+  static formatTarget(value) {
+    return value.toString(16).padStart(64, '0');
+  }
+
+  static meetsTarget(hash, target) {
+    const value = Retarget.parseTarget(target);
+    return value !== null && TARGET_PATTERN.test(hash) && BigInt(`0x${hash}`) <= value;
+  }
+
+  get initialTarget() {
+    return Retarget.difficultyToTarget(this.blockchain.initialDifficulty);
+  }
+
+  // Easiest target allowed
+  get maxTarget() {
+    return Retarget.parseTarget(Retarget.difficultyToTarget(this.blockchain.minDifficulty));
+  }
+
+  // Target for the block after chain[parentPosition]
+  getNextTarget(chain, parentPosition = chain.length - 1) {
+    // Genesis timestamps and targets are node-local, so the window starts at block 2
+    if (parentPosition === 0) return this.initialTarget;
+
+    const first = Math.max(1, parentPosition - this.blockchain.difficultyWindow);
+    const intervals = parentPosition - first;
+    if (intervals === 0) return chain[parentPosition].target;
+
+    let targetSum = 0n;
+    for (let position = first + 1; position <= parentPosition; position++) {
+      targetSum += Retarget.parseTarget(chain[position].target);
+    }
+    const averageTarget = targetSum / BigInt(intervals);
+
+    const expected = BigInt(intervals * this.blockchain.targetBlockTime);
+    let timespan = BigInt(chain[parentPosition].timestamp - chain[first].timestamp);
+    if (timespan < expected / this.maxAdjustment) timespan = expected / this.maxAdjustment;
+    if (timespan > expected * this.maxAdjustment) timespan = expected * this.maxAdjustment;
+
+    let nextTarget = averageTarget * timespan / expected;
+    if (nextTarget > this.maxTarget) nextTarget = this.maxTarget;
+    if (nextTarget < 1n) nextTarget = 1n;
+    return Retarget.formatTarget(nextTarget);
+  }
+}
@@ -0,0 +1,90 @@
+// Reference external miner: fetches block templates from a node over HTTP, searches
+// for a nonce and submits solutions. Runs in a single thread.
+//
+//   node standalone-miner.js <nodeUrl> <payoutAddress>
+//
+// or set MINER_NODE_URL and MINER_ADDRESS.
+import rp from 'request-promise';
+import crypto from 'crypto';
+
+const nodeUrl = (process.argv[2] || process.env.MINER_NODE_URL || 'http://localhost:5000').replace(/\/$/, '');
+const address = process.argv[3] || process.env.MINER_ADDRESS;
+const refreshInterval = 10000; // fetch a fresh template this often, even without a solution
+const hashesPerSlice = 50000; // hashes between checks of the clock
+
+if (!address) {
+  console.error('Usage: node standalone-miner.js <nodeUrl> <payoutAddress>');
+  process.exit(1);
+}
+
+async function fetchTemplate() {
+  return rp({
+    uri: `${nodeUrl}/mining/template?address=${encodeURIComponent(address)}`,
+    method: "GET",
+    json: true,
+    timeout: 10000
+  });
+}
+
+// Search nonces until one meets the target or the template is due for a refresh.
+// Hash and target are both 64 lowercase hex digits, so string order is numeric order.
+function search(template, startNonce) {
+  const deadline = Date.now() + refreshInterval;
+  let nonce = startNonce;
+
+  while (Date.now() < deadline) {
+    for (let i = 0; i < hashesPerSlice; i++, nonce++) {
+      const hash = crypto
+        .createHash('sha256')
+        .update(template.previousBlockHash + nonce.toString() + template.serializedHeader)
+        .digest('hex');
+      if (hash <= template.target) {
+        return { nonce, hash, hashes: nonce - startNonce + 1 };
+      }
+    }
+  }
+  return { nonce: null, hashes: nonce - startNonce };
+}
+
+async function submit(template, nonce) {
+  try {
+    const result = await rp({
+      uri: `${nodeUrl}/mining/submit`,
+      method: "POST",
+      body: { templateId: template.templateId, nonce },
+      json: true,
+      timeout: 10000
+    });
+    console.log(`⛏️ Block #${result.block.index} accepted: ${result.block.hash.substring(0, 16)}... (reward ${result.reward} EKH)`);
+  } catch (error) {
+    const reason = error.error?.message || error.message;
+    console.log(`❌ Solution for block #${template.index} rejected: ${reason}`);
+  }
+}
+
+async function run() {
+  console.log(`🚀 Mining against ${nodeUrl}, paying ${address}`);
+
+  while (true) {
+    let template;
+    try {
+      template = await fetchTemplate();
+    } catch (error) {
+      console.log(`⚠️ Could not fetch a template: ${error.error?.message || error.message}`);
+      await new Promise(resolve => setTimeout(resolve, 5000));
+      continue;
+    }
+
+    const startedAt = Date.now();
+    // Start at a random nonce so several miners on one payout address don't repeat work
+    const result = search(template, crypto.randomInt(0, 2 ** 40));
+    const hashRate = Math.round(result.hashes / Math.max(1, (Date.now() - startedAt) / 1000));
+    console.log(`🔎 Block #${template.index} at difficulty ${template.difficulty}: ${result.hashes} hashes (${hashRate} H/s)`);
+
+    if (result.nonce !== null) {
+      await submit(template, result.nonce);
+    }
+  }
+}
+
+run();
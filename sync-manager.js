@@ -1,5 +1,6 @@
 
 //import crypto from 'crypto';
+import { ForkChoice } from './fork-choice.js';
 
 export class SyncManager {
   constructor(blockchain) {
@@ -7,7 +8,13 @@ export class SyncManager {
     this.syncInProgress = false;
     this.lastSyncAttempt = 0;
     this.syncCooldown = 5000; // 5 seconds between sync attempts
+    this.syncDelay = 1000; // requestSync waits this long to collect a burst of requests
+    this.syncTimer = null;
+    this.syncRequested = false;
     this.maxRetries = 3;
+    this.headersBatchSize = 500; // headers per /headers request
+    this.blocksBatchSize = 50; // blocks per /blocks request
+    this.progress = { state: 'idle' };
   }
 
   async performFullSync() {
@@ -23,7 +30,47 @@ export class SyncManager {
 
     this.syncInProgress = true;
     this.lastSyncAttempt = Date.now();
-    
+
+    try {
+      return await this.runSyncAttempts();
+    } finally {
+      this.syncInProgress = false;
+      // Blocks announced during this sync may be beyond what it fetched
+      if (this.syncRequested) {
+        this.syncRequested = false;
+        this.requestSync('blocks announced during sync');
+      }
+    }
+  }
+
+  // Sync in the background, e.g. when a peer relays a block whose parent we lack.
+  // Requests are coalesced: at most one sync is scheduled, and requests made while a
+  // sync runs add a single follow-up sync once it finishes.
+  requestSync(reason) {
+    if (this.syncTimer) return;
+    if (this.syncInProgress) {
+      this.syncRequested = true;
+      return;
+    }
+
+    // Wait out the cooldown so the request isn't skipped
+    const delay = Math.max(this.syncDelay, this.lastSyncAttempt + this.syncCooldown - Date.now());
+    this.syncTimer = setTimeout(async () => {
+      this.syncTimer = null;
+      if (this.syncInProgress) {
+        this.syncRequested = true;
+        return;
+      }
+      try {
+        await this.performFullSync();
+      } catch (error) {
+        console.log(`Sync after ${reason} failed:`, error.message);
+      }
+    }, delay);
+    this.syncTimer.unref();
+  }
+
+  async runSyncAttempts() {
     // Enhanced error handling with retry mechanism
     let attempt = 0;
     let lastError = null;
@@ -51,31 +98,29 @@ export class SyncManager {
         // Pre-sync health check
         await this.performPeerHealthCheck(rp);
 
-        // Step 1: Collect blockchain data from all peers
-        const peerData = await this.collectPeerBlockchains(rp);
-        
-        if (peerData.length === 0) {
-          throw new Error('No valid blockchain data received from peers');
-        }
+        // Step 1: Ask every peer for its chain tip
+        const peerTips = await this.collectPeerTips(rp);
 
-        // Step 2: Find the best blockchain
-        const bestChain = this.selectBestBlockchain(peerData);
-        
-        if (!bestChain) {
-          throw new Error('No valid blockchain found from peers');
+        if (peerTips.length === 0) {
+          throw new Error('No chain tips received from peers');
         }
 
-        // Step 3: Compare and update if necessary
-        const syncResult = await this.updateBlockchainIfBetter(bestChain);
-        
+        // Step 2: Pick the peer claiming the most cumulative work
+        const bestPeer = this.selectBestPeer(peerTips);
+
+        // Step 3: Download only the headers and blocks we are missing
+        const syncResult = await this.syncFromPeer(bestPeer, rp);
+
         console.log(`📊 Sync completed - Updated: ${syncResult.updated}, Local blocks: ${this.blockchain.chain.length}`);
-        
+
         return {
           success: true,
           updated: syncResult.updated,
+          oldLength: syncResult.oldLength,
+          newLength: syncResult.newLength,
           localBlocks: this.blockchain.chain.length,
-          peerBlocks: bestChain.chain.length,
-          bestPeer: bestChain.source,
+          peerBlocks: bestPeer.height,
+          bestPeer: bestPeer.source,
           attempts: attempt
         };
 
@@ -121,7 +166,7 @@ export class SyncManager {
       }
       
       // 4. Validate local chain integrity
-      if (!this.blockchain.chainIsValid(this.blockchain.chain)) {
+      if (!(await this.blockchain.chainIsValid(this.blockchain.chain))) {
         console.error('🚨 Local chain corruption detected!');
         // Could implement chain repair logic here
       }
@@ -129,8 +174,6 @@ export class SyncManager {
       console.log('✅ Recovery attempt completed');
     } catch (error) {
       console.error('❌ Recovery failed:', error.message);
-    } finally {
-      this.syncInProgress = false;
     }
   }
 
@@ -163,9 +206,9 @@ export class SyncManager {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
 
-  async collectPeerBlockchains(rp) {
-    console.log(`🔍 Collecting blockchain data from ${this.blockchain.networkNodes.length} peers...`);
-    const peerData = [];
+  async collectPeerTips(rp) {
+    console.log(`🔍 Collecting chain tips from ${this.blockchain.networkNodes.length} peers...`);
+    const peerTips = [];
 
     for (const peerUrl of this.blockchain.networkNodes) {
       // Skip localhost URLs as they won't be accessible from other instances
@@ -175,256 +218,219 @@ export class SyncManager {
       }
 
       try {
-        console.log(`📡 Fetching blockchain from ${peerUrl}...`);
-        
-        const response = await rp({
-          uri: peerUrl + "/blockchain",
+        const tip = await rp({
+          uri: peerUrl + "/chain/tip",
           method: "GET",
           json: true,
-          timeout: 15000
-        });
-
-        console.log(`📊 Response from ${peerUrl}:`, {
-          hasChain: !!(response && response.chain),
-          chainLength: response && response.chain ? response.chain.length : 0,
-          chainType: response && response.chain ? typeof response.chain : 'undefined',
-          isArray: response && response.chain ? Array.isArray(response.chain) : false
+          timeout: 5000
         });
 
-        if (response && response.chain && Array.isArray(response.chain)) {
-          const peerInfo = {
-            source: peerUrl,
-            chain: response.chain,
-            pendingTransactions: response.pendingTransactions || [],
-            difficulty: response.difficulty || 1,
-            networkName: response.networkName || 'Unknown'
-          };
-
-          // Validate the blockchain structure
-          console.log(`🔍 Validating blockchain from ${peerUrl}...`);
-          if (this.validateBlockchainStructure(peerInfo.chain)) {
-            peerData.push(peerInfo);
-            console.log(`✅ Valid blockchain from ${peerUrl}: ${peerInfo.chain.length} blocks, difficulty ${peerInfo.difficulty}`);
-          } else {
-            console.log(`❌ Invalid blockchain structure from ${peerUrl}`);
-          }
+        const peerTip = this.parsePeerTip(peerUrl, tip);
+        if (peerTip) {
+          peerTips.push(peerTip);
         } else {
-          console.log(`❌ Invalid response format from ${peerUrl}:`, {
-            responseExists: !!response,
-            chainExists: !!(response && response.chain),
-            isArray: response && response.chain ? Array.isArray(response.chain) : false
-          });
+          console.log(`❌ Invalid chain tip from ${peerUrl}`);
         }
       } catch (error) {
-        console.log(`❌ Failed to fetch blockchain from ${peerUrl}: ${error.message}`);
-        // If it's a localhost URL causing issues, remove it
-        if (peerUrl.includes('localhost') || peerUrl.includes('127.0.0.1')) {
-          console.log(`🗑️ Removing problematic localhost peer: ${peerUrl}`);
-          const index = this.blockchain.networkNodes.indexOf(peerUrl);
-          if (index > -1) {
-            this.blockchain.networkNodes.splice(index, 1);
-          }
-        }
+        console.log(`❌ Failed to fetch chain tip from ${peerUrl}: ${error.message}`);
       }
     }
 
-    console.log(`📊 Collected ${peerData.length} valid blockchain(s) from peers`);
-    return peerData;
+    console.log(`📊 Collected ${peerTips.length} chain tip(s) from peers`);
+    return peerTips;
   }
 
-  validateBlockchainStructure(chain) {
-    if (!Array.isArray(chain) || chain.length === 0) {
-      console.log('❌ Validation failed: chain is not array or empty');
-      return false;
+  // { source, height, hash, work } from a /chain/tip response, or null if it is malformed
+  parsePeerTip(source, tip) {
+    const work = ForkChoice.parseWork(tip?.chainWork);
+    if (typeof tip?.height !== 'number' || typeof tip.hash !== 'string' || work === null) {
+      return null;
     }
+    return { source, height: tip.height, hash: tip.hash, work };
+  }
 
-    // Check genesis block - be more flexible about index
-    const genesis = chain[0];
-    if (!genesis) {
-      console.log('❌ Validation failed: missing genesis block');
-      return false;
-    }
+  // Claimed work only decides who to ask first; the headers must prove it before we switch
+  selectBestPeer(peerTips) {
+    const bestPeer = this.blockchain.forkChoice.selectBest(peerTips);
+    console.log(`🥇 Best peer selected: ${bestPeer.source} at height ${bestPeer.height} (work ${ForkChoice.formatWork(bestPeer.work)})`);
+    return bestPeer;
+  }
 
-    // Genesis block should have previousBlockHash of '0'
-    if (genesis.previousBlockHash !== '0') {
-      console.log('❌ Validation failed: genesis previousBlockHash not 0');
-      return false;
-    }
+  updateProgress(changes) {
+    this.progress = { ...this.progress, ...changes, updatedAt: Date.now() };
+  }
+
+  getSyncStatus() {
+    const { targetHeight, currentHeight } = this.progress;
+    const percent = targetHeight ? Math.min(100, Math.round((currentHeight / targetHeight) * 100)) : null;
+    return {
+      inProgress: this.syncInProgress,
+      lastSyncAttempt: this.lastSyncAttempt,
+      ...this.progress,
+      percent
+    };
+  }
 
-    // Validate genesis block structure
-    if (!genesis.hash || !genesis.timestamp || !Array.isArray(genesis.transactions)) {
-      console.log('❌ Validation failed: invalid genesis block structure');
-      return false;
+  async fetchHeaders(peerUrl, rp, start, count) {
+    const response = await rp({
+      uri: `${peerUrl}/headers?start=${start}&count=${count}`,
+      method: "GET",
+      json: true,
+      timeout: 10000
+    });
+    if (!response || !Array.isArray(response.headers)) {
+      throw new Error(`Invalid headers response from ${peerUrl}`);
     }
+    return response.headers;
+  }
 
-    // For single block chain (genesis only), validate basic structure
-    if (chain.length === 1) {
-      console.log(`✅ Blockchain structure validation passed: ${chain.length} blocks (genesis only)`);
-      return true;
+  async fetchBlocks(peerUrl, rp, start, count) {
+    const response = await rp({
+      uri: `${peerUrl}/blocks?start=${start}&count=${count}`,
+      method: "GET",
+      json: true,
+      timeout: 15000
+    });
+    if (!response || !Array.isArray(response.blocks)) {
+      throw new Error(`Invalid blocks response from ${peerUrl}`);
     }
+    return response.blocks;
+  }
 
-    // Check chain integrity - normalize indices starting from genesis
-    const startIndex = genesis.index; // Could be 0 or 1
-    console.log(`🔍 Chain starts with genesis index: ${startIndex}`);
+  // Walk back from the lower of the two tips until a peer header matches our block.
+  // Returns 0 when even the genesis blocks differ (e.g. a freshly started node).
+  async findCommonAncestor(peerUrl, rp, peerHeight) {
+    const chain = this.blockchain.chain;
+    let top = Math.min(chain.length, peerHeight);
 
-    for (let i = 1; i < chain.length; i++) {
-      const currentBlock = chain[i];
-      const previousBlock = chain[i - 1];
+    while (top >= 1) {
+      const start = Math.max(1, top - this.headersBatchSize + 1);
+      const headers = await this.fetchHeaders(peerUrl, rp, start, top - start + 1);
 
-      if (!currentBlock || !previousBlock) {
-        console.log(`❌ Validation failed: missing block at position ${i}`);
-        return false;
-      }
-      
-      // Validate index types
-      if (typeof currentBlock.index !== 'number' || typeof previousBlock.index !== 'number') {
-        console.log(`❌ Validation failed: non-numeric index at position ${i}`);
-        return false;
-      }
-      
-      // Check that each block increments by exactly 1 from the previous
-      if (currentBlock.index !== previousBlock.index + 1) {
-        console.log(`❌ Validation failed: index sequence broken at position ${i}. Previous: ${previousBlock.index}, Current: ${currentBlock.index}, Expected: ${previousBlock.index + 1}`);
-        return false;
-      }
-      
-      // Validate hash chain
-      if (currentBlock.previousBlockHash !== previousBlock.hash) {
-        console.log(`❌ Validation failed: hash chain broken at position ${i}. Expected: ${previousBlock.hash}, Got: ${currentBlock.previousBlockHash}`);
-        return false;
-      }
-      
-      // Validate basic block structure
-      if (!currentBlock.hash || !currentBlock.timestamp || !Array.isArray(currentBlock.transactions)) {
-        console.log(`❌ Validation failed: invalid block structure at position ${i}`);
-        return false;
+      for (let i = headers.length - 1; i >= 0; i--) {
+        const height = start + i;
+        if (chain[height - 1] && headers[i].hash === chain[height - 1].hash) {
+          return height;
+        }
       }
+      top = start - 1;
     }
 
-    console.log(`✅ Blockchain structure validation passed: ${chain.length} blocks (genesis index: ${startIndex})`);
-    return true;
+    console.log(`⚠️ No common block with ${peerUrl}, evaluating its chain from genesis`);
+    return 0;
   }
 
-  selectBestBlockchain(peerData) {
-    if (peerData.length === 0) return null;
-
-    console.log('🏆 Selecting best blockchain from peers...');
-
-    // Sort by length first, then by difficulty, then by total work
-    const sortedPeers = peerData.sort((a, b) => {
-      // Primary: chain length
-      if (a.chain.length !== b.chain.length) {
-        return b.chain.length - a.chain.length;
+  // Check linkage and proof of work for a run of headers following parent.
+  // Difficulty history and transactions are checked when the blocks are connected.
+  verifyHeaders(headers, parent) {
+    let previous = parent;
+    for (const header of headers) {
+      if (!previous) {
+        if (header.index !== 1 || header.previousBlockHash !== '0' || header.hash !== '0') {
+          throw new Error('First header is not a genesis block');
+        }
+        previous = header;
+        continue;
       }
-      
-      // Secondary: difficulty
-      if (a.difficulty !== b.difficulty) {
-        return b.difficulty - a.difficulty;
+      if (header.index !== previous.index + 1 || header.previousBlockHash !== previous.hash) {
+        throw new Error(`Header ${header.index} does not link to its parent`);
       }
-      
-      // Tertiary: total work (sum of difficulties)
-      const aWork = this.calculateTotalWork(a.chain);
-      const bWork = this.calculateTotalWork(b.chain);
-      return bWork - aWork;
-    });
-
-    const bestChain = sortedPeers[0];
-    console.log(`🥇 Best chain selected: ${bestChain.source} with ${bestChain.chain.length} blocks, difficulty ${bestChain.difficulty}`);
-    
-    return bestChain;
-  }
-
-  calculateTotalWork(chain) {
-    return chain.reduce((total, block) => {
-      const difficulty = block.difficulty || 1;
-      return total + Math.pow(2, difficulty);
-    }, 0);
+      if (!this.blockchain.hasValidProofOfWork(header)) {
+        throw new Error(`Header ${header.index} has invalid proof of work`);
+      }
+      previous = header;
+    }
   }
 
-  async updateBlockchainIfBetter(bestChain) {
+  // Headers-first sync: find the fork point, fetch and verify the missing headers,
+  // then download the blocks behind them in batches if they carry more work than ours
+  async syncFromPeer(peer, rp) {
     const localLength = this.blockchain.chain.length;
-    const remoteLength = bestChain.chain.length;
-    
-    console.log(`⚖️ Comparing chains: Local(${localLength}) vs Remote(${remoteLength})`);
+    const forkChoice = this.blockchain.forkChoice;
 
-    // Only update if remote chain is longer
-    if (remoteLength <= localLength) {
-      console.log(`✅ Local chain is current or better (${localLength} >= ${remoteLength})`);
+    if (forkChoice.compare(peer, forkChoice.getActiveTip()) >= 0) {
+      console.log(`✅ Local chain has as much work as ${peer.source} or more`);
       return { updated: false, reason: 'local_is_current' };
     }
 
-    // Validate the remote chain thoroughly
-    if (!this.blockchain.chainIsValid(bestChain.chain)) {
-      console.log(`❌ Remote chain validation failed`);
-      return { updated: false, reason: 'invalid_remote_chain' };
-    }
-
-    console.log(`🔄 Updating local blockchain from ${localLength} to ${remoteLength} blocks...`);
-
     try {
-      // Backup current state
-      const backupChain = [...this.blockchain.chain];
-      const backupPending = [...this.blockchain.pendingTransactions];
+      this.updateProgress({ state: 'locating_ancestor', peer: peer.source, startHeight: localLength, targetHeight: peer.height, currentHeight: localLength, startedAt: Date.now() });
+      const ancestorHeight = await this.findCommonAncestor(peer.source, rp, peer.height);
+      console.log(`🔗 Common ancestor with ${peer.source} at height ${ancestorHeight}`);
+
+      // Step 1: headers
+      this.updateProgress({ state: 'downloading_headers', ancestorHeight, headersDownloaded: 0 });
+      const headers = [];
+      let parent = this.blockchain.chain[ancestorHeight - 1];
+      for (let start = ancestorHeight + 1; start <= peer.height; start += this.headersBatchSize) {
+        const count = Math.min(this.headersBatchSize, peer.height - start + 1);
+        const batch = await this.fetchHeaders(peer.source, rp, start, count);
+        if (batch.length === 0) break;
+
+        this.verifyHeaders(batch, parent);
+        headers.push(...batch);
+        parent = batch[batch.length - 1];
+        this.updateProgress({ headersDownloaded: headers.length });
+      }
+      console.log(`📑 Downloaded ${headers.length} headers from ${peer.source}`);
 
-      // Update blockchain
-      this.blockchain.chain = [...bestChain.chain];
-      
-      // Update pending transactions (keep local ones that aren't in the new chain)
-      this.blockchain.pendingTransactions = this.mergePendingTransactions(
-        bestChain.pendingTransactions || [],
-        backupPending
-      );
-
-      // Update difficulty if available
-      if (bestChain.difficulty) {
-        this.blockchain.difficulty = bestChain.difficulty;
+      if (!forkChoice.isBetterBranch(ancestorHeight, headers)) {
+        console.log(`⚠️ Headers from ${peer.source} carry no more work than our chain`);
+        this.updateProgress({ state: 'idle', finishedAt: Date.now() });
+        return { updated: false, reason: 'insufficient_work' };
       }
 
-      // Save to database
-      await this.blockchain.saveToDatabase();
-      
-      console.log(`✅ Blockchain updated successfully! New length: ${this.blockchain.chain.length}`);
-      console.log(`📝 Pending transactions: ${this.blockchain.pendingTransactions.length}`);
-      
-      return { 
-        updated: true, 
-        oldLength: localLength, 
-        newLength: this.blockchain.chain.length,
-        source: bestChain.source
-      };
+      // Step 2: blocks
+      const extendsTip = ancestorHeight === localLength;
+      const forkBlocks = [];
+      this.updateProgress({ state: 'downloading_blocks', blocksDownloaded: 0 });
 
-    } catch (error) {
-      console.error('❌ Failed to update blockchain:', error);
-      return { updated: false, reason: 'update_failed', error: error.message };
-    }
-  }
+      for (let offset = 0; offset < headers.length; offset += this.blocksBatchSize) {
+        const batchHeaders = headers.slice(offset, offset + this.blocksBatchSize);
+        const blocks = await this.fetchBlocks(peer.source, rp, batchHeaders[0].index, batchHeaders.length);
+
+        for (let i = 0; i < batchHeaders.length; i++) {
+          if (!blocks[i] || blocks[i].hash !== batchHeaders[i].hash) {
+            throw new Error(`Block ${batchHeaders[i].index} does not match its header`);
+          }
 
-  mergePendingTransactions(remotePending, localPending) {
-    // Get all transaction IDs that are already in the blockchain
-    const confirmedTxIds = new Set();
-    this.blockchain.chain.forEach(block => {
-      block.transactions.forEach(tx => {
-        if (tx.transactionId) {
-          confirmedTxIds.add(tx.transactionId);
+          if (extendsTip) {
+            const result = await this.blockchain.acceptBlock(blocks[i], peer.source);
+            if (!result.accepted) {
+              throw new Error(`Block ${blocks[i].index} rejected: ${result.reason}`);
+            }
+          } else {
+            forkBlocks.push(blocks[i]);
+          }
         }
-      });
-    });
 
-    // Merge remote and local pending transactions, excluding confirmed ones
-    const allPending = [...(remotePending || []), ...(localPending || [])];
-    const uniquePending = [];
-    const seenTxIds = new Set();
-
-    for (const tx of allPending) {
-      if (tx.transactionId && 
-          !confirmedTxIds.has(tx.transactionId) && 
-          !seenTxIds.has(tx.transactionId)) {
-        uniquePending.push(tx);
-        seenTxIds.add(tx.transactionId);
+        this.updateProgress({
+          blocksDownloaded: offset + batchHeaders.length,
+          currentHeight: ancestorHeight + offset + batchHeaders.length
+        });
+      }
+
+      // A branch forking below our tip replaces ours through a reorganization
+      if (!extendsTip) {
+        const result = await this.blockchain.reorganize(ancestorHeight, forkBlocks, peer.source);
+        if (!result.reorganized) {
+          this.updateProgress({ state: 'idle', finishedAt: Date.now() });
+          return { updated: false, reason: 'invalid_remote_chain', error: result.reason };
+        }
       }
-    }
 
-    return uniquePending;
+      this.updateProgress({ state: 'idle', finishedAt: Date.now() });
+      console.log(`✅ Synced to height ${this.blockchain.chain.length} from ${peer.source}`);
+      return {
+        updated: this.blockchain.chain.length !== localLength,
+        oldLength: localLength,
+        newLength: this.blockchain.chain.length,
+        source: peer.source
+      };
+    } catch (error) {
+      this.updateProgress({ state: 'failed', error: error.message, finishedAt: Date.now() });
+      throw error;
+    }
   }
 
   // Enhanced health check for peers
@@ -0,0 +1,89 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { ContractSandbox } from '../contract-sandbox.js';
+
+const sandbox = new ContractSandbox();
+after(() => sandbox.terminateWorker());
+
+const run = (code, method, options = {}) => {
+  return sandbox.execute(sandbox.compile(code), { method, caller: 'EKH', blockTime: 0, ...options });
+};
+
+test('contract code cannot reach the node through the global constructor chain', async () => {
+  const outcome = await run(`function escape() {
+    return globalThis.constructor.constructor('return process')().getBuiltinModule('fs').readFileSync('/etc/hostname', 'utf8');
+  }`, 'escape');
+  assert.equal(outcome.success, false);
+  assert.equal(outcome.result, undefined);
+});
+
+test('objects created by the call lead back only to the contract realm', async () => {
+  const outcome = await run(`function escape() {
+    return this.constructor.constructor('return process')().pid;
+  }`, 'escape');
+  assert.equal(outcome.success, false);
+});
+
+test('state changes and events are returned', async () => {
+  const outcome = await run(`function add(amount) {
+    this.state.total = (this.state.total || 0) + amount;
+    this.emit('Added', { amount });
+    return this.state.total;
+  }`, 'add', { params: [5], state: { total: 1 } });
+  assert.equal(outcome.success, true);
+  assert.equal(outcome.result, 6);
+  assert.deepEqual(outcome.state, { total: 6 });
+  assert.deepEqual(outcome.events, [{ name: 'Added', data: { amount: 5 } }]);
+});
+
+test('regular expressions and BigInt are rejected when the code is compiled', () => {
+  assert.throws(() => sandbox.compile(`function check() { return /(a+)+$/.test('aaaaaaaaaaaaaaaaaaaaaaaaaaaa!'); }`), /Regular expressions/);
+  assert.throws(() => sandbox.compile('function big() { return 2n ** 64n; }'), /BigInt/);
+});
+
+test('work done inside built-ins is charged or refused by size', async () => {
+  const spread = await run('function keys() { return [...Array(3e6).keys()].length; }', 'keys');
+  assert.equal(spread.success, false);
+
+  const doubling = await run(`function grow() {
+    let text = 'ab';
+    for (let i = 0; i < 30; i++) text += text;
+    return text.length;
+  }`, 'grow');
+  assert.equal(doubling.success, false);
+
+  // Iterating a built-in's iterator costs the same per step as a loop
+  const small = await run('function keys() { return [...new Array(100).keys()].length; }', 'keys');
+  const large = await run('function keys() { return [...new Array(10000).keys()].length; }', 'keys');
+  assert.equal(small.result, 100);
+  assert.equal(large.result, 10000);
+  assert.ok(large.gasUsed - small.gasUsed >= 9900);
+});
+
+test('building and comparing long strings is charged by length', async () => {
+  const grow = (length) => run(`function grow(length) {
+    let text = '';
+    while (text.length < length) text = text + 'x';
+    return text === 'x';
+  }`, 'grow', { params: [length] });
+  const short = await grow(100);
+  const long = await grow(1000);
+  assert.equal(long.success, true);
+  // Each pass pays 1 per 32 characters of the string it builds on top of its nodes
+  assert.ok(long.gasUsed - short.gasUsed > 900 * 10 + (1000 * 1000 - 100 * 100) / 2 / 32);
+
+  const keys = (count) => run(`function copy(count) {
+    const source = {};
+    for (let i = 0; i < count; i++) source['k' + i] = i;
+    let visited = 0;
+    for (const key in { ...source }) visited++;
+    return visited;
+  }`, 'copy', { params: [count] });
+  const few = await keys(10);
+  const many = await keys(1000);
+  assert.equal(many.result, 1000);
+  assert.ok(many.gasUsed - few.gasUsed > 990 * 2 * 10);
+
+  assert.throws(() => sandbox.compile('function take(value) { const { a, ...rest } = value; return rest; }'), /Object rest/);
+  assert.throws(() => sandbox.compile('function bump() { this.state[this.next()]++; }'), /must target/);
+});